@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ATTACHMENT_ID_PATTERN } = require('./validation');
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// Accepted upload types. Images get a thumbnail; everything else is a file card.
+const ALLOWED_TYPES = {
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'application/pdf': 'file',
+  'text/plain': 'file',
+  'application/zip': 'file'
+};
+
+// Rejections carry the HTTP status the upload endpoint should answer with
+function uploadError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sanitizeFileName(name) {
+  const cleaned = path.basename(String(name || 'file')).replace(/[^\w.\- ]+/g, '_').trim();
+  return cleaned.substring(0, 100) || 'file';
+}
+
+// Content-addressed attachment storage. Each upload is stored once under the
+// SHA-256 of its bytes, with a JSON sidecar for its metadata and, for
+// images, a WebP thumbnail.
+class AttachmentStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(id, suffix = '') {
+    return path.join(this.dir, `${id}${suffix}`);
+  }
+
+  get(id) {
+    if (!ATTACHMENT_ID_PATTERN.test(String(id))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath(id, '.json'), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Throws an uploadError with a user-facing message when the upload is rejected
+  async save(buffer, originalName, mimeType) {
+    const kind = ALLOWED_TYPES[mimeType];
+    if (!kind) throw uploadError('That file type is not allowed', 415);
+    if (buffer.length > MAX_ATTACHMENT_BYTES) throw uploadError('Attachments can be at most 10 MB', 413);
+
+    const id = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = this.get(id);
+    if (existing) return { ...existing, name: sanitizeFileName(originalName) };
+
+    const attachment = {
+      id,
+      name: sanitizeFileName(originalName),
+      type: mimeType,
+      kind,
+      size: buffer.length,
+      created: new Date().toISOString()
+    };
+
+    if (kind === 'image') {
+      // Decoding the image doubles as a check that the bytes match the claimed type
+      let metadata;
+      try {
+        metadata = await sharp(buffer).metadata();
+      } catch (err) {
+        throw uploadError('That image could not be read');
+      }
+      if (`image/${metadata.format}` !== mimeType) {
+        throw uploadError('The image does not match its file type');
+      }
+      attachment.width = metadata.width;
+      attachment.height = metadata.height;
+      await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toFile(this.filePath(id, '.thumb.webp'));
+    }
+
+    fs.writeFileSync(this.filePath(id), buffer);
+    fs.writeFileSync(this.filePath(id, '.json'), JSON.stringify(attachment));
+    return attachment;
+  }
+}
+
+// The public shape of an attachment as it is stored on messages
+function describeAttachment(attachment) {
+  const described = {
+    id: attachment.id,
+    name: attachment.name,
+    type: attachment.type,
+    kind: attachment.kind,
+    size: attachment.size,
+    url: `/api/attachments/${attachment.id}`
+  };
+  if (attachment.kind === 'image') {
+    described.width = attachment.width;
+    described.height = attachment.height;
+    described.thumbnailUrl = `/api/attachments/${attachment.id}/thumbnail`;
+  }
+  return described;
+}
+
+module.exports = {
+  AttachmentStore,
+  sanitizeFileName,
+  describeAttachment,
+  MAX_ATTACHMENT_BYTES,
+  ALLOWED_TYPES
+};
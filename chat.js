@@ -21,9 +21,11 @@ class RealTimeChatApp {
         this.typing = false;
         this.typingTimeout = null;
         this.onlineUsers = new Set();
+        this.onlineUserList = []; // [{ username, avatar, role }] from the server
         this.messageCount = 0;
         this.currentReactionMenu = null; // Track current reaction menu
         this.messageReactions = new Map(); // Store reactions state for each message
+        this.messageTexts = new Map(); // Current text of each message, kept in sync with edits
 
         // Available reactions
         this.availableReactions = ['👍', '❤️', '😂', '😮', '😢', '😡', '👏', '😒', '💀'];
@@ -38,6 +40,63 @@ class RealTimeChatApp {
         this.replyToText = document.getElementById('replyToText');
         this.cancelReplyBtn = document.getElementById('cancelReplyBtn');
 
+        // Rooms
+        this.currentRoom = 'general';
+        this.rooms = new Map(); // name -> { name, joined, unread, scrollTop, stash, users, info }
+        this.roomList = document.getElementById('roomList');
+        this.availableRoomList = document.getElementById('availableRoomList');
+        this.createRoomForm = document.getElementById('createRoomForm');
+        this.currentRoomName = document.getElementById('currentRoomName');
+        this.roomMemberCount = document.getElementById('roomMemberCount');
+
+        // Rate limiting: the send button is held back until the server's retryAfter passes
+        this.sendCooldownUntil = 0;
+        this.sendCooldownTimer = null;
+        this.lastSentText = null; // put back in the composer if the server refused it
+
+        // Presence
+        this.presence = new Map(); // username -> { status, customStatus } for everyone online
+        this.myPresence = { status: 'online', custom: null }; // what we chose, idle aside
+        this.idle = false;
+        this.idleTimer = null;
+        this.idleTimeoutMs = 5 * 60 * 1000;
+
+        // Private chats
+        this.privateChats = new Map(); // chatId -> { chatId, participants, partner, unread, stash, loaded, lastMessage }
+        this.activePrivateChat = null; // chatId shown in messagesContainer instead of the current room
+        this.openChatWith = null; // partner whose chat opens once its history arrives
+        this.creatingGroup = null; // name of the group we asked the server to create
+
+        // Slash commands and @mentions
+        this.commands = []; // [{ name, usage, description, aliases }] allowed for our role
+        this.userDirectory = []; // every registered username, for mention autocomplete
+        this.unreadMentions = 0;
+        this.suggestions = document.getElementById('composerSuggestions');
+        this.suggestionItems = []; // [{ value, label, description }] currently offered
+        this.suggestionIndex = 0;
+        this.applySuggestion = null; // inserts the picked value into the composer
+
+        // Search
+        this.searchModal = document.getElementById('searchModal');
+        this.searchForm = document.getElementById('searchForm');
+        this.searchResults = document.getElementById('searchResults');
+        this.searchSummary = document.getElementById('searchSummary');
+        this.pendingJump = null; // { room, messageId } waiting on history to load
+        this.mentionsModal = document.getElementById('mentionsModal');
+        this.dmList = document.getElementById('dmList');
+        this.createGroupForm = document.getElementById('createGroupForm');
+        this.groupModal = document.getElementById('groupModal');
+        this.groupMembersBtn = document.getElementById('groupMembersBtn');
+        this.mentionsList = document.getElementById('mentionsList');
+
+        // Attachments
+        this.serverUrl = ''; // prefix for API requests when the backend is on another origin
+        this.pendingAttachment = null; // uploaded and waiting to be sent with the next message
+        this.uploading = false;
+        this.maxAttachmentBytes = 10 * 1024 * 1024;
+        this.attachmentPreview = document.getElementById('attachmentPreview');
+        this.fileInput = document.getElementById('fileInput');
+
         // Auth Elements
         this.authModal = document.getElementById('authModal');
         this.loginForm = document.getElementById('loginForm');
@@ -45,7 +104,27 @@ class RealTimeChatApp {
         this.authTabs = document.querySelectorAll('.auth-tab');
         this.avatarGrid = document.getElementById('avatarGrid');
 
+        this.logoutBtn = document.getElementById('logoutBtn');
+        this.presenceBtn = document.getElementById('presenceBtn');
+        this.statusModal = document.getElementById('statusModal');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.settingsModal = document.getElementById('settingsModal');
+        this.profileModal = document.getElementById('profileModal');
+        this.profile = null; // our own profile fields
+        this.blockedUsers = new Set();
+        this.reportsBtn = document.getElementById('reportsBtn');
+        this.reportModal = document.getElementById('reportModal');
+        this.reportsModal = document.getElementById('reportsModal');
+        this.reportTarget = null; // { messageId, chatId } being reported
+        this.openReports = 0; // moderators only
+        // Where each settings form shows its errors
+        this.settingsMessages = { 'update profile': 'profileMsg', 'change password': 'passwordMsg', 'delete account': 'deleteAccountMsg' };
+        this.sessionRefreshTimer = null;
+        this.resumeAttempted = false; // Retry a stored session once before asking to log in
+
         this.avatar = null; // Store current user avatar
+        this.role = 'member';
+        this.roleRanks = { member: 0, moderator: 1, admin: 2 };
         this.avatars = ['😎', '👻', '👾', '🤖', '👽', '💀', '🤡', '👹', '👺', '💩', '😺', '😸', '😹', '😻', '😼'];
 
         debugLog('Initializing chat app...');
@@ -74,7 +153,7 @@ class RealTimeChatApp {
                 el.className = 'avatar-option';
                 el.textContent = emoji;
                 el.onclick = () => {
-                    document.querySelectorAll('.avatar-option').forEach(a => a.classList.remove('selected'));
+                    this.avatarGrid.querySelectorAll('.avatar-option').forEach(a => a.classList.remove('selected'));
                     el.classList.add('selected');
                     document.getElementById('selectedAvatar').value = emoji;
                 };
@@ -149,6 +228,69 @@ class RealTimeChatApp {
         }
     }
 
+    showAuthModal() {
+        this.username = null;
+        this.avatar = null;
+        this.role = 'member';
+        this.messagesContainer.innerHTML = '';
+        this.messageReactions.clear();
+        this.rooms.clear();
+        this.privateChats.clear();
+        this.activePrivateChat = null;
+        this.hideGroupModal();
+        this.currentRoom = 'general';
+        this.renderRoomList();
+        this.renderDmList();
+        if (this.logoutBtn) this.logoutBtn.style.display = 'none';
+        if (this.settingsBtn) this.settingsBtn.style.display = 'none';
+        this.hideSettingsModal();
+        this.hideProfileModal();
+        this.blockedUsers.clear();
+        this.hideReportModal();
+        this.hideReportsModal();
+        if (this.reportsBtn) this.reportsBtn.style.display = 'none';
+        if (this.presenceBtn) this.presenceBtn.style.display = 'none';
+        this.presence.clear();
+        clearTimeout(this.idleTimer);
+        if (this.authModal) this.authModal.style.display = '';
+        this.updateConnectionStatus('Connected • Please Login');
+    }
+
+    storeSession(token, expiresAt) {
+        if (!token) return;
+        localStorage.setItem('sessionToken', token);
+        this.scheduleSessionRefresh(expiresAt);
+    }
+
+    clearSession() {
+        localStorage.removeItem('sessionToken');
+        if (this.sessionRefreshTimer) {
+            clearTimeout(this.sessionRefreshTimer);
+            this.sessionRefreshTimer = null;
+        }
+    }
+
+    // Ask for a fresh token once half of the current one's lifetime has passed
+    scheduleSessionRefresh(expiresAt) {
+        if (this.sessionRefreshTimer) clearTimeout(this.sessionRefreshTimer);
+        const remaining = new Date(expiresAt).getTime() - Date.now();
+        if (!isFinite(remaining)) return;
+
+        this.sessionRefreshTimer = setTimeout(() => {
+            this.sessionRefreshTimer = null;
+            if (this.isConnected && this.socket) this.socket.emit('refresh session');
+        }, Math.max(remaining / 2, 0));
+    }
+
+    logout() {
+        if (this.isConnected && this.socket) {
+            this.socket.emit('logout');
+        } else {
+            this.clearSession();
+            this.showAuthModal();
+        }
+    }
+
     showAuthMessage(elementId, msg, type = 'error') {
         const el = document.getElementById(elementId);
         if (el) {
@@ -185,27 +327,314 @@ class RealTimeChatApp {
             }
 
             // Initialize Socket.IO connection
+            this.serverUrl = connectionUrl || '';
             this.socket = io(connectionUrl);
 
             // Connection successful
             this.socket.on('connect', () => {
                 debugLog('✅ Connected to server - Waiting for auth');
                 this.isConnected = true;
-                this.updateConnectionStatus('Connected • Please Login');
+
+                // Pick up the previous session after a reload or reconnect
+                const token = localStorage.getItem('sessionToken');
+                if (token) {
+                    this.updateConnectionStatus('Connected • Resuming session...');
+                    this.socket.emit('resume', { token });
+                } else {
+                    this.updateConnectionStatus('Connected • Please Login');
+                }
             });
 
             // Auth Events
             this.socket.on('login_success', (data) => {
+                const isNewLogin = this.username !== data.username;
+                this.resumeAttempted = false;
                 this.username = data.username;
                 this.avatar = data.avatar;
+                this.role = data.role || 'member';
+                this.storeSession(data.token, data.expiresAt);
                 if (this.authModal) this.authModal.style.display = 'none';
+                if (this.logoutBtn) this.logoutBtn.style.display = '';
+                if (this.settingsBtn) this.settingsBtn.style.display = '';
+                this.myPresence = data.presence || { status: 'online', custom: null };
+                this.profile = data.profile || null;
+                this.blockedUsers = new Set(data.blocked || []);
+                this.openReports = 0;
+                this.updateReportsButton();
+                this.idle = false;
+                this.resetIdleTimer();
+                this.updatePresenceButton();
                 this.updateConnectionStatus(`Connected as ${this.username} 🟢`);
-                this.showPresenceToast('join', `Welcome ${this.username}!`);
+                if (isNewLogin) this.showPresenceToast('join', `Welcome ${this.username}!`);
+                this.socket.emit('list commands');
+                this.socket.emit('list users');
+                this.socket.emit('list private chats');
 
                 // Allow interactions
                 this.sendBtn.disabled = true; // Wait for input
             });
 
+            this.socket.on('session refreshed', (data) => {
+                debugLog('🔑 Session refreshed');
+                this.storeSession(data.token, data.expiresAt);
+            });
+
+            this.socket.on('resume_error', (data) => {
+                debugLog(`🔑 Session resume failed: ${data.message}`);
+                this.clearSession();
+                this.showAuthModal();
+                this.showAuthMessage('loginMsg', data.message, 'error');
+            });
+
+            // Moderation events
+            this.socket.on('kicked', (data) => {
+                this.clearSession();
+                this.showAuthModal();
+                this.showAuthMessage('loginMsg', `You were kicked by ${data.by}${data.reason ? `: ${data.reason}` : ''}`, 'error');
+            });
+
+            this.socket.on('banned', (data) => {
+                this.clearSession();
+                this.showAuthModal();
+                this.showAuthMessage('loginMsg', `This account has been banned${data.reason ? `: ${data.reason}` : ''}`, 'error');
+            });
+
+            this.socket.on('muted', (data) => {
+                const until = new Date(data.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+                this.showError(`You have been muted by ${data.by} until ${until}`);
+            });
+
+            this.socket.on('unmuted', () => {
+                this.addSystemMessage('You are no longer muted');
+            });
+
+            this.socket.on('moderation action', (data) => {
+                const verbs = { kick: 'was kicked', mute: 'was muted', unmute: 'was unmuted', ban: 'was banned', unban: 'was unbanned' };
+                if (!verbs[data.action]) return;
+                this.addSystemMessage(`${data.username} ${verbs[data.action]} by ${data.by}`, data.timestamp);
+            });
+
+            this.socket.on('role changed', (data) => {
+                this.role = data.role;
+                this.addSystemMessage(`Your role is now ${data.role}`);
+                this.updateReportsButton();
+                if (this.isStaff()) this.socket.emit('list reports');
+                else this.hideReportsModal();
+                this.refreshOnlineUsersList();
+                this.socket.emit('list commands');
+            });
+
+            // Slash command events
+            this.socket.on('command list', (commands) => {
+                this.commands = Array.isArray(commands) ? commands : [];
+            });
+
+            this.socket.on('command result', (data) => {
+                this.addSystemMessage(data.message);
+            });
+
+            // Private chats
+            this.socket.on('private chats', (chats) => {
+                (chats || []).forEach(c => {
+                    const chat = this.ensurePrivateChat(c.chatId, c.participants, c);
+                    chat.lastMessage = c.lastMessage;
+                    if (c.chatId !== this.activePrivateChat) chat.unread = c.unread || 0;
+                });
+                this.renderDmList();
+            });
+
+            this.socket.on('private chat invite', (data) => {
+                this.showInvitePrompt(data.fromUsername);
+            });
+
+            this.socket.on('private chat invite sent', (data) => {
+                this.showPresenceToast('invite', data.toUsername, 'was invited to a private chat');
+            });
+
+            this.socket.on('private chat accepted', (data) => {
+                this.showPresenceToast('invite', data.byUsername, 'accepted your private chat');
+                this.openChatWith = data.byUsername;
+            });
+
+            this.socket.on('private chat declined', (data) => {
+                this.showPresenceToast('leave', data.byUsername, 'declined your private chat');
+            });
+
+            this.socket.on('private chat history', (data) => {
+                this.loadPrivateChatHistory(data);
+            });
+
+            this.socket.on('private chat updated', (data) => {
+                const chat = this.privateChats.get(data.chatId);
+                if (!chat) return;
+                this.updatePrivateChatInfo(chat, data);
+                if (data.chatId === this.activePrivateChat) this.updateRoomHeader();
+                this.renderGroupModal();
+                this.renderDmList();
+            });
+
+            this.socket.on('private chat removed', (data) => {
+                this.removePrivateChat(data.chatId);
+            });
+
+            this.socket.on('private message', (data) => {
+                this.addPrivateMessage(data);
+            });
+
+            // Private messages that arrived while we were offline
+            this.socket.on('unread private messages', (data) => {
+                const senders = Array.from(new Set(data.chats.flatMap(c => c.from)));
+                const summary = `You have ${data.count} unread DM${data.count === 1 ? '' : 's'} from ${senders.join(', ')}`;
+                this.addSystemMessage(summary);
+                this.showPresenceToast('invite', senders.join(', '), `sent you ${data.count} DM${data.count === 1 ? '' : 's'} while you were away`);
+            });
+
+            // Read on another of our devices
+            this.socket.on('private chat read', (data) => {
+                const chat = this.privateChats.get(data.chatId);
+                if (!chat) return;
+                chat.unread = 0;
+                this.renderDmList();
+            });
+
+            this.socket.on('private message status', (data) => {
+                this.updatePrivateMessageStatus(data);
+            });
+
+            this.socket.on('ban list', (bans) => {
+                this.renderBanList(bans);
+            });
+
+            // Reports
+            this.socket.on('report submitted', () => {
+                this.hideReportModal();
+                this.addSystemMessage('Thanks for the report. A moderator will take a look.');
+            });
+
+            this.socket.on('report error', (data) => {
+                if (this.reportModal && this.reportModal.classList.contains('show')) {
+                    this.showAuthMessage('reportMsg', data.message, 'error');
+                } else {
+                    this.showError(data.message);
+                }
+            });
+
+            this.socket.on('report count', (data) => {
+                this.openReports = data.open;
+                this.updateReportsButton();
+                if (this.reportsModal && this.reportsModal.classList.contains('show')) this.socket.emit('list reports');
+            });
+
+            this.socket.on('report queue', (data) => {
+                this.openReports = data.reports.reduce((sum, item) => sum + item.reports.length, 0);
+                this.updateReportsButton();
+                this.renderReportQueue(data);
+            });
+
+            // An event was over its budget: { event, retryAfter, message }
+            this.socket.on('rate limited', (data) => {
+                debugLog(`⏳ Rate limited on "${data.event}", retry in ${data.retryAfter}s`);
+                if (data.event === 'login') {
+                    this.showAuthMessage('loginMsg', data.message, 'error');
+                } else if (data.event === 'register') {
+                    this.showAuthMessage('regMsg', data.message, 'error');
+                } else if (data.event === 'report message') {
+                    this.showAuthMessage('reportMsg', data.message, 'error');
+                } else if (this.settingsMessages[data.event]) {
+                    this.showAuthMessage(this.settingsMessages[data.event], data.message, 'error');
+                } else if (['chat message', 'private message', 'command'].includes(data.event)) {
+                    this.startSendCooldown(data.retryAfter);
+                    if (!this.messageInput.value && this.lastSentText) {
+                        this.messageInput.value = this.lastSentText;
+                        this.resizeTextarea();
+                    }
+                    this.showError(data.message);
+                } else if (!['typing', 'stop typing', 'set idle'].includes(data.event)) {
+                    // Background events just wait for the next try
+                    this.showError(data.message);
+                }
+            });
+
+            // The server rejected a payload: { event, code, field, message }
+            this.socket.on('validation error', (data) => {
+                debugLog(`⚠ Validation error on "${data.event}" (${data.code}): ${data.message}`);
+                if (data.event === 'login') {
+                    this.showAuthMessage('loginMsg', data.message, 'error');
+                } else if (data.event === 'register') {
+                    this.showAuthMessage('regMsg', data.message, 'error');
+                } else if (data.event === 'report message') {
+                    this.showAuthMessage('reportMsg', data.message, 'error');
+                } else if (this.settingsMessages[data.event]) {
+                    this.showAuthMessage(this.settingsMessages[data.event], data.message, 'error');
+                } else {
+                    this.showError(data.message);
+                }
+            });
+
+            // The server rejected an event because this socket isn't logged in
+            this.socket.on('unauthorized', (data) => {
+                debugLog(`🔒 Unauthorized: ${data.event}`);
+                const token = localStorage.getItem('sessionToken');
+                if (token && !this.resumeAttempted) {
+                    this.resumeAttempted = true;
+                    this.socket.emit('resume', { token });
+                    return;
+                }
+                this.clearSession();
+                this.showAuthModal();
+                this.showAuthMessage('loginMsg', data.message, 'error');
+            });
+
+            this.socket.on('logged out', (data) => {
+                debugLog('👋 Logged out');
+                this.clearSession();
+                this.showAuthModal();
+                this.showAuthMessage('loginMsg', (data && data.message) || 'You have been logged out.', 'neutral');
+            });
+
+            // Account settings
+            this.socket.on('password changed', () => {
+                this.changePasswordForm.reset();
+                this.showAuthMessage('passwordMsg', 'Password changed. Your other devices have been logged out.', 'success');
+            });
+
+            this.socket.on('account error', (data) => {
+                if (this.settingsMessages[data.action]) {
+                    this.showAuthMessage(this.settingsMessages[data.action], data.message, 'error');
+                } else {
+                    this.showError(data.message);
+                }
+            });
+
+            // Profiles
+            this.socket.on('profile', (data) => {
+                this.renderProfileCard(data);
+            });
+
+            this.socket.on('blocked users', (usernames) => {
+                this.blockedUsers = new Set(usernames || []);
+                this.applyBlockList();
+            });
+
+            this.socket.on('profile updated', (data) => {
+                this.profile = data;
+                this.showAuthMessage('profileMsg', 'Profile saved.', 'success');
+            });
+
+            this.socket.on('avatar changed', (data) => {
+                this.applyAvatarChange(data.username, data.avatar);
+            });
+
+            this.socket.on('account deleted', (data) => {
+                this.clearSession();
+                this.showAuthModal();
+                this.showAuthMessage('loginMsg', data.message, 'neutral');
+            });
+
+            this.socket.on('user deleted', (data) => {
+                this.applyUserDeleted(data.username, data.replacement);
+            });
+
             this.socket.on('register_success', (data) => {
                 this.showAuthMessage('regMsg', data.message, 'success');
                 setTimeout(() => {
@@ -215,7 +644,12 @@ class RealTimeChatApp {
             });
 
             this.socket.on('login_error', (data) => {
-                this.showAuthMessage('loginMsg', data.message, 'error');
+                let message = data.message;
+                if (data.retryAt && data.retryAfter >= 60) {
+                    const at = new Date(data.retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+                    message += ` (at ${at})`;
+                }
+                this.showAuthMessage('loginMsg', message, 'error');
             });
 
             this.socket.on('register_error', (data) => {
@@ -250,8 +684,52 @@ class RealTimeChatApp {
 
             // Handle incoming messages
             this.socket.on('chat message', (data) => {
-                debugLog(`📩 Received message from ${data.username}: ${data.message}`);
-                this.addMessage(data.username, data.message, data.username === this.username, data.timestamp, data.id, data.reactions, data.replyTo, data.avatar);
+                debugLog(`📩 Received message from ${data.username} in #${data.room}: ${data.message}`);
+                const room = data.room || 'general';
+                this.addMessage(data.username, data.message, data.username === this.username, data.timestamp, data.id, data.reactions, data.replyTo, data.avatar, { room, editedAt: data.editedAt, action: data.action, attachment: data.attachment, mentions: data.mentions });
+
+                if (room !== this.currentRoom && data.username !== this.username && !this.isBlocked(data.username)) {
+                    this.getRoomState(room).unread++;
+                    this.renderRoomList();
+                }
+            });
+
+            // Room events
+            this.socket.on('room list', (rooms) => {
+                debugLog(`🏠 Received room list: ${rooms.length} rooms`);
+                rooms.forEach(info => {
+                    this.getRoomState(info.name).info = info;
+                });
+                this.renderRoomList();
+            });
+
+            this.socket.on('room joined', (data) => {
+                debugLog(`🏠 Joined #${data.room}`);
+                this.loadRoomMessages(data.room, data.messages, data.hasMore);
+                this.switchRoom(data.room);
+                if (this.pendingJump && this.pendingJump.room === data.room) {
+                    this.jumpToMessage(data.room, this.pendingJump.messageId);
+                }
+            });
+
+            this.socket.on('room left', (data) => {
+                debugLog(`🏠 Left #${data.room}`);
+                const state = this.getRoomState(data.room);
+                state.joined = false;
+                state.unread = 0;
+                state.scrollTop = null;
+                if (this.currentRoom === data.room) this.switchRoom('general');
+                state.stash.innerHTML = '';
+                this.renderRoomList();
+            });
+
+            this.socket.on('room users', (data) => {
+                this.getRoomState(data.room).users = data.users;
+                if (data.room === this.currentRoom) this.updateRoomHeader();
+            });
+
+            this.socket.on('room error', (data) => {
+                this.showError(data.message);
             });
 
             // Handle user join notifications
@@ -291,23 +769,31 @@ class RealTimeChatApp {
                 debugLog(`👥 Received online users list: ${users.length} users`);
                 this.onlineUsers.clear();
                 // users is now array of objects {username, avatar}
+                this.presence.clear();
                 users.forEach(u => {
-                    this.onlineUsers.add(u.username);
+                    if (u.status !== 'invisible') this.onlineUsers.add(u.username);
+                    this.presence.set(u.username, { status: u.status, customStatus: u.customStatus });
                 });
                 this.updateUserCount(this.onlineUsers.size);
                 this.updateOnlineUsersList(users);
+                this.updatePresenceDots();
+            });
+
+            this.socket.on('status updated', (presence) => {
+                this.myPresence = presence;
+                this.updatePresenceButton();
             });
 
             // Handle typing indicators
-            this.socket.on('user typing', (data) => {
+            this.socket.on('typing', (data) => {
                 if (data.username !== this.username) {
-                    this.showTypingIndicator(data.username);
+                    this.showTypingIndicator(data.username, data.room);
                 }
             });
 
-            this.socket.on('user stop typing', (data) => {
+            this.socket.on('stop typing', (data) => {
                 if (data.username !== this.username) {
-                    this.hideTypingIndicator(data.username);
+                    this.hideTypingIndicator(data.username, data.room);
                 }
             });
 
@@ -322,42 +808,74 @@ class RealTimeChatApp {
                 this.updateMessageReactions(data.messageId, data.reaction, data.username, data.action);
             });
 
-            // Receive recent messages (last 24h)
-            this.socket.on('recent messages', (messages) => {
+            // Receive recent messages for one of our rooms (within its TTL)
+            this.socket.on('recent messages', (data) => {
                 try {
-                    debugLog(`🕒 Received recent messages: ${Array.isArray(messages) ? messages.length : 0}`);
-                    // Reset UI and local reaction state
-                    this.messagesContainer.innerHTML = '';
-                    this.messageReactions.clear();
-                    if (Array.isArray(messages)) {
-                        messages.forEach((m) => {
-                            if (!m || !m.id) return;
-                            this.addMessage(m.username, m.message, m.username === this.username, m.timestamp, m.id, m.reactions || {}, m.replyTo);
-                        });
-                    }
+                    debugLog(`🕒 Received recent messages for #${data.room}: ${Array.isArray(data.messages) ? data.messages.length : 0}`);
+                    this.loadRoomMessages(data.room, data.messages, data.hasMore);
                 } catch (e) {
                     debugLog(`⚠ Error rendering recent messages: ${e.message}`);
                 }
             });
 
+            // A page of history from before the oldest message we have
+            this.socket.on('older messages', (data) => {
+                try {
+                    debugLog(`🕒 Received ${Array.isArray(data.messages) ? data.messages.length : 0} older messages for #${data.room}`);
+                    this.prependOlderMessages(data.room, data.messages, data.hasMore);
+                    this.finishPendingJump(data.room);
+                } catch (e) {
+                    debugLog(`⚠ Error rendering older messages: ${e.message}`);
+                }
+            });
+
+            this.socket.on('search results', (data) => {
+                this.renderSearchResults(data);
+            });
+
             // Handle server-driven deletions for expired messages
             this.socket.on('message deleted', (ids) => {
                 try {
                     if (!Array.isArray(ids) || ids.length === 0) return;
                     debugLog(`🗑️ Deleting ${ids.length} expired messages`);
                     ids.forEach((id) => {
-                        const messageElement = document.querySelector(`[data-message-id="${String(id)}"]`);
+                        const messageElement = this.findMessageElement(id);
                         if (messageElement && messageElement.parentNode) {
                             messageElement.parentNode.removeChild(messageElement);
                         }
                         // Drop local reaction state
                         this.messageReactions.delete(String(id));
+                        this.messageTexts.delete(String(id));
                     });
                 } catch (e) {
                     debugLog(`⚠ Error deleting messages: ${e.message}`);
                 }
             });
 
+            // Handle edits to existing messages
+            this.socket.on('message edited', (data) => {
+                debugLog(`✏️ Message ${data.messageId} edited`);
+                this.applyMessageEdit(data.messageId, data.message, data.editedAt, data.mentions);
+            });
+
+            // Someone @mentioned us
+            this.socket.on('mentioned', (data) => {
+                debugLog(`💬 Mentioned by ${data.username} in #${data.room}`);
+                this.unreadMentions++;
+                this.updateMentionsBadge();
+                if (data.room !== this.currentRoom || document.hidden) {
+                    this.showPresenceToast('mention', data.username, `mentioned you in #${data.room}`);
+                }
+            });
+
+            this.socket.on('user directory', (usernames) => {
+                this.userDirectory = Array.isArray(usernames) ? usernames : [];
+            });
+
+            this.socket.on('mention list', (mentions) => {
+                this.renderMentions(mentions);
+            });
+
             // Handle errors
             this.socket.on('error', (errorData) => {
                 debugLog(`⚠ Server error: ${errorData.message}`);
@@ -432,6 +950,23 @@ class RealTimeChatApp {
             this.sendMessage();
         });
 
+        // Autocomplete navigation (runs before the Enter-to-send handler)
+        this.messageInput.addEventListener('keydown', (e) => {
+            if (!this.suggestions || this.suggestions.style.display === 'none') return;
+            const items = this.suggestions.querySelectorAll('.composer-suggestion');
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.suggestionIndex = (this.suggestionIndex + step + items.length) % items.length;
+                items.forEach((item, i) => item.classList.toggle('active', i === this.suggestionIndex));
+            } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+                e.preventDefault();
+                this.pickSuggestion(this.suggestionIndex);
+            } else if (e.key === 'Escape') {
+                this.hideSuggestions();
+            }
+        });
+
         // Send message on Enter key
         this.messageInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -444,7 +979,7 @@ class RealTimeChatApp {
         // Handle typing indicators and button state
         this.messageInput.addEventListener('input', () => {
             const hasText = this.messageInput.value.trim().length > 0;
-            this.sendBtn.disabled = !hasText;
+            this.sendBtn.disabled = (!hasText && !this.pendingAttachment) || this.isSendCoolingDown();
 
             if (hasText) {
                 this.handleTyping();
@@ -454,13 +989,85 @@ class RealTimeChatApp {
 
             // Auto-resize textarea
             this.resizeTextarea();
+            this.updateSuggestions();
         });
 
         // Stop typing when focus is lost
         this.messageInput.addEventListener('blur', () => {
             this.stopTyping();
+            this.hideSuggestions();
+        });
+
+        // Fetch older history when scrolled to the top
+        this.messagesContainer.addEventListener('scroll', () => {
+            if (this.messagesContainer.scrollTop < 80 && !this.activePrivateChat) this.loadOlderMessages();
+        });
+
+        // Attachments: picker, drag and drop onto the chat, and pasted files
+        const attachBtn = document.getElementById('attachBtn');
+        if (attachBtn && this.fileInput) {
+            attachBtn.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', () => {
+                if (this.fileInput.files[0]) this.uploadAttachment(this.fileInput.files[0]);
+                this.fileInput.value = '';
+            });
+        }
+        const cancelAttachmentBtn = document.getElementById('cancelAttachmentBtn');
+        if (cancelAttachmentBtn) cancelAttachmentBtn.addEventListener('click', () => this.clearAttachment());
+
+        const chatMain = document.querySelector('.chat-main');
+        if (chatMain) {
+            chatMain.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                chatMain.classList.add('drag-over');
+            });
+            chatMain.addEventListener('dragleave', (e) => {
+                if (!chatMain.contains(e.relatedTarget)) chatMain.classList.remove('drag-over');
+            });
+            chatMain.addEventListener('drop', (e) => {
+                chatMain.classList.remove('drag-over');
+                if (!e.dataTransfer.files.length) return;
+                e.preventDefault();
+                this.uploadAttachment(e.dataTransfer.files[0]);
+            });
+        }
+
+        this.messageInput.addEventListener('paste', (e) => {
+            const file = e.clipboardData && e.clipboardData.files[0];
+            if (!file) return;
+            e.preventDefault();
+            this.uploadAttachment(file);
         });
 
+        // Mentions modal
+        const mentionsBtn = document.getElementById('mentionsBtn');
+        if (mentionsBtn) mentionsBtn.addEventListener('click', () => this.showMentionsModal());
+        const closeMentionsBtn = document.getElementById('closeMentionsBtn');
+        if (closeMentionsBtn) closeMentionsBtn.addEventListener('click', () => this.hideMentionsModal());
+        if (this.mentionsModal) {
+            this.mentionsModal.addEventListener('click', (e) => {
+                if (e.target === this.mentionsModal) this.hideMentionsModal();
+            });
+        }
+
+        // Search modal
+        const searchBtn = document.getElementById('searchBtn');
+        if (searchBtn) searchBtn.addEventListener('click', () => this.showSearchModal());
+        const closeSearchBtn = document.getElementById('closeSearchBtn');
+        if (closeSearchBtn) closeSearchBtn.addEventListener('click', () => this.hideSearchModal());
+        if (this.searchModal) {
+            this.searchModal.addEventListener('click', (e) => {
+                if (e.target === this.searchModal) this.hideSearchModal();
+            });
+        }
+        if (this.searchForm) {
+            this.searchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.runSearch();
+            });
+        }
+
         // Close reaction menu when clicking elsewhere
         document.addEventListener('click', (e) => {
             if (this.currentReactionMenu &&
@@ -498,6 +1105,8 @@ class RealTimeChatApp {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.hideOnlineUsersModal();
+                this.hideSearchModal();
+                this.hideMentionsModal();
             }
         });
 
@@ -509,6 +1118,186 @@ class RealTimeChatApp {
             });
         }
 
+        // Create room form
+        if (this.createRoomForm) {
+            this.createRoomForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const nameInput = document.getElementById('newRoomName');
+                const ttlSelect = document.getElementById('newRoomTtl');
+                const name = nameInput.value.trim().toLowerCase();
+                if (!name || !this.socket) return;
+                this.socket.emit('create room', { name, ttlHours: Number(ttlSelect.value) });
+                nameInput.value = '';
+            });
+        }
+
+        // Presence
+        if (this.presenceBtn) this.presenceBtn.addEventListener('click', () => this.showStatusModal());
+        const closeStatusBtn = document.getElementById('closeStatusBtn');
+        if (closeStatusBtn) closeStatusBtn.addEventListener('click', () => this.hideStatusModal());
+        if (this.statusModal) {
+            this.statusModal.addEventListener('click', (e) => {
+                if (e.target === this.statusModal) this.hideStatusModal();
+            });
+        }
+        const statusForm = document.getElementById('statusForm');
+        if (statusForm) {
+            statusForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const expiry = document.getElementById('statusExpiry').value;
+                this.setStatus({
+                    status: document.getElementById('statusSelect').value,
+                    emoji: document.getElementById('statusEmoji').value.trim(),
+                    text: document.getElementById('statusText').value.trim(),
+                    ...(expiry ? { expiresInMinutes: Number(expiry) } : {})
+                });
+            });
+        }
+        const clearStatusBtn = document.getElementById('clearStatusBtn');
+        if (clearStatusBtn) clearStatusBtn.addEventListener('click', () => this.setStatus({ status: 'online' }));
+        ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'].forEach(type => {
+            document.addEventListener(type, () => this.resetIdleTimer(), { passive: true });
+        });
+
+        // Profiles
+        this.profileForm = document.getElementById('profileForm');
+        const closeProfileBtn = document.getElementById('closeProfileBtn');
+        if (closeProfileBtn) closeProfileBtn.addEventListener('click', () => this.hideProfileModal());
+        if (this.profileModal) {
+            this.profileModal.addEventListener('click', (e) => {
+                if (e.target === this.profileModal) this.hideProfileModal();
+            });
+        }
+        if (this.profileForm) {
+            this.profileForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!this.socket || !this.isConnected) return;
+                const links = Array.from(this.profileForm.querySelectorAll('.profile-link-input'), input => input.value.trim()).filter(Boolean);
+                this.socket.emit('update profile', {
+                    displayName: document.getElementById('profileDisplayName').value.trim(),
+                    pronouns: document.getElementById('profilePronouns').value.trim(),
+                    bio: document.getElementById('profileBio').value.trim(),
+                    links
+                });
+                this.showAuthMessage('profileMsg', 'Saving...', 'neutral');
+            });
+        }
+
+        // Reports
+        this.reportForm = document.getElementById('reportForm');
+        if (this.reportsBtn) this.reportsBtn.addEventListener('click', () => this.showReportsModal());
+        const closeReportBtn = document.getElementById('closeReportBtn');
+        if (closeReportBtn) closeReportBtn.addEventListener('click', () => this.hideReportModal());
+        const closeReportsBtn = document.getElementById('closeReportsBtn');
+        if (closeReportsBtn) closeReportsBtn.addEventListener('click', () => this.hideReportsModal());
+        [this.reportModal, this.reportsModal].forEach(modal => {
+            if (!modal) return;
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) modal.classList.remove('show');
+            });
+        });
+        if (this.reportForm) {
+            this.reportForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!this.socket || !this.isConnected || !this.reportTarget) return;
+                this.socket.emit('report message', {
+                    ...this.reportTarget,
+                    reason: document.getElementById('reportReason').value,
+                    details: document.getElementById('reportDetails').value.trim()
+                });
+                this.showAuthMessage('reportMsg', 'Sending...', 'neutral');
+            });
+        }
+
+        // Account settings
+        this.changePasswordForm = document.getElementById('changePasswordForm');
+        this.deleteAccountForm = document.getElementById('deleteAccountForm');
+        if (this.settingsBtn) this.settingsBtn.addEventListener('click', () => this.showSettingsModal());
+        const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+        if (closeSettingsBtn) closeSettingsBtn.addEventListener('click', () => this.hideSettingsModal());
+        if (this.settingsModal) {
+            this.settingsModal.addEventListener('click', (e) => {
+                if (e.target === this.settingsModal) this.hideSettingsModal();
+            });
+        }
+        if (this.changePasswordForm) {
+            this.changePasswordForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const currentPassword = document.getElementById('currentPassword').value;
+                const newPassword = document.getElementById('newPassword').value;
+                if (newPassword !== document.getElementById('confirmNewPassword').value) {
+                    this.showAuthMessage('passwordMsg', 'New passwords do not match.', 'error');
+                    return;
+                }
+                if (!this.socket || !this.isConnected) return;
+                this.socket.emit('change password', { currentPassword, newPassword });
+                this.showAuthMessage('passwordMsg', 'Changing password...', 'neutral');
+            });
+        }
+        if (this.deleteAccountForm) {
+            this.deleteAccountForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const password = document.getElementById('deleteAccountPassword').value;
+                if (!this.socket || !this.isConnected) return;
+                if (!confirm('Delete your account? This cannot be undone.')) return;
+                this.socket.emit('delete account', { password });
+                this.showAuthMessage('deleteAccountMsg', 'Deleting account...', 'neutral');
+            });
+        }
+
+        // Group chats
+        if (this.createGroupForm) {
+            this.createGroupForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const nameInput = document.getElementById('newGroupName');
+                const name = nameInput.value.trim();
+                if (!name || !this.socket) return;
+                this.creatingGroup = name;
+                this.socket.emit('create group chat', { name, members: [] });
+                nameInput.value = '';
+            });
+        }
+        if (this.groupMembersBtn) this.groupMembersBtn.addEventListener('click', () => this.showGroupModal());
+        const closeGroupBtn = document.getElementById('closeGroupBtn');
+        if (closeGroupBtn) closeGroupBtn.addEventListener('click', () => this.hideGroupModal());
+        if (this.groupModal) {
+            this.groupModal.addEventListener('click', (e) => {
+                if (e.target === this.groupModal) this.hideGroupModal();
+            });
+        }
+        const renameGroupForm = document.getElementById('renameGroupForm');
+        if (renameGroupForm) {
+            renameGroupForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const name = document.getElementById('groupNameInput').value.trim();
+                if (name && this.socket) this.socket.emit('rename group chat', { chatId: this.activePrivateChat, name });
+            });
+        }
+        const addGroupMemberForm = document.getElementById('addGroupMemberForm');
+        if (addGroupMemberForm) {
+            addGroupMemberForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('groupMemberInput');
+                const username = input.value.trim().replace(/^@/, '');
+                if (!username || !this.socket) return;
+                this.socket.emit('add group member', { chatId: this.activePrivateChat, username });
+                input.value = '';
+            });
+        }
+        const leaveGroupBtn = document.getElementById('leaveGroupBtn');
+        if (leaveGroupBtn) {
+            leaveGroupBtn.addEventListener('click', () => {
+                if (this.socket) this.socket.emit('remove group member', { chatId: this.activePrivateChat, username: this.username });
+            });
+        }
+
+        // Logout button
+        if (this.logoutBtn) {
+            this.logoutBtn.addEventListener('click', () => {
+                this.logout();
+            });
+        }
+
         // Cancel reply button
         if (this.cancelReplyBtn) {
             this.cancelReplyBtn.addEventListener('click', () => {
@@ -533,15 +1322,16 @@ class RealTimeChatApp {
         return container;
     }
 
-    showPresenceToast(type, username) {
+    showPresenceToast(type, username, meta = null) {
         const container = this.ensurePresenceToastsContainer();
         if (!container) return;
         const toast = document.createElement('div');
         toast.className = `presence-toast ${type}`;
         const now = new Date();
         const time = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
-        const icon = type === 'join' ? '🟢' : '🔴';
-        toast.innerHTML = `<span class="icon">${icon}</span><span class="name">${this.escapeHtml(username)}</span><span class="meta">${type === 'join' ? 'joined' : 'left'} • ${time}</span><button class="close-btn" aria-label="Dismiss">×</button>`;
+        const icon = { join: '🟢', leave: '🔴', mention: '💬', invite: '✉️' }[type] || '🔴';
+        const action = meta || (type === 'join' ? 'joined' : 'left');
+        toast.innerHTML = `<span class="icon">${icon}</span><span class="name">${this.escapeHtml(username)}</span><span class="meta">${this.escapeHtml(action)} • ${time}</span><button class="close-btn" aria-label="Dismiss">×</button>`;
         container.appendChild(toast);
 
         const closeBtn = toast.querySelector('.close-btn');
@@ -563,12 +1353,40 @@ class RealTimeChatApp {
         }, 5000);
     }
 
+    isSendCoolingDown() {
+        return Date.now() < this.sendCooldownUntil;
+    }
+
+    // Counts down on the send button until sending is allowed again
+    startSendCooldown(seconds) {
+        this.sendCooldownUntil = Date.now() + seconds * 1000;
+        clearInterval(this.sendCooldownTimer);
+        const tick = () => {
+            const remaining = Math.ceil((this.sendCooldownUntil - Date.now()) / 1000);
+            if (remaining > 0) {
+                this.sendBtn.disabled = true;
+                this.sendBtn.classList.add('cooling-down');
+                this.sendBtn.dataset.cooldown = remaining;
+                this.sendBtn.title = `You can send again in ${remaining}s`;
+                return;
+            }
+            clearInterval(this.sendCooldownTimer);
+            this.sendCooldownTimer = null;
+            this.sendBtn.classList.remove('cooling-down');
+            this.sendBtn.removeAttribute('title');
+            this.sendBtn.disabled = !this.messageInput.value.trim() && !this.pendingAttachment;
+        };
+        tick();
+        this.sendCooldownTimer = setInterval(tick, 1000);
+    }
+
     resizeTextarea() {
         this.messageInput.style.height = 'auto';
         this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 100) + 'px';
     }
 
     handleTyping() {
+        if (this.activePrivateChat) return;
         if (!this.typing) {
             this.typing = true;
 
@@ -576,7 +1394,7 @@ class RealTimeChatApp {
             if (!this.isConnected || !this.socket) {
                 this.showTypingIndicator(this.username);
             } else {
-                this.socket.emit('typing', { username: this.username });
+                this.socket.emit('typing', { room: this.currentRoom });
             }
         }
 
@@ -596,7 +1414,7 @@ class RealTimeChatApp {
             this.typing = false;
 
             if (this.isConnected && this.socket) {
-                this.socket.emit('stop typing', { username: this.username });
+                this.socket.emit('stop typing', { room: this.currentRoom });
             } else {
                 // Hide typing indicator locally if not connected
                 this.hideTypingIndicator(this.username);
@@ -611,16 +1429,30 @@ class RealTimeChatApp {
 
     sendMessage() {
         const messageText = this.messageInput.value.trim();
-        if (!messageText) {
+        if (this.uploading) return;
+        if (!messageText && !this.pendingAttachment) {
             debugLog('⚠️ Attempted to send empty message');
             return;
         }
+        if (this.isSendCoolingDown()) return;
+        this.lastSentText = messageText;
 
         debugLog(`📤 Sending message: "${messageText}"`);
 
         // Stop typing indicator
         this.stopTyping();
 
+        // Slash commands go to the server's command handler, not the room
+        if (messageText.startsWith('/') && !this.pendingAttachment) {
+            this.sendCommand(messageText);
+            return;
+        }
+
+        if (this.activePrivateChat) {
+            this.sendPrivateMessage(messageText);
+            return;
+        }
+
         // Create message object with unique ID
         const messageId = String(Date.now() + Math.random());
         const messageData = {
@@ -630,7 +1462,8 @@ class RealTimeChatApp {
             timestamp: new Date().toISOString(),
             isMyMessage: true,
             reactions: {},
-            replyTo: this.replyingTo
+            replyTo: this.replyingTo,
+            attachment: this.pendingAttachment
         };
 
         this.messageCount++;
@@ -639,20 +1472,22 @@ class RealTimeChatApp {
             debugLog('📡 Sending via Socket.IO...');
             // Send via Socket.IO for real-time delivery
             this.socket.emit('chat message', {
-                username: messageData.username,
                 message: messageData.message,
                 timestamp: messageData.timestamp,
                 id: messageData.id,
-                replyTo: messageData.replyTo
+                replyTo: messageData.replyTo,
+                attachment: messageData.attachment ? { id: messageData.attachment.id, name: messageData.attachment.name } : undefined,
+                room: this.currentRoom
             });
         } else {
             debugLog('💾 Socket not connected, adding message locally only');
             // Fallback to local display if not connected
-            this.addMessage(messageData.username, messageData.message, true, messageData.timestamp, messageData.id, messageData.reactions, messageData.replyTo, this.avatar);
+            this.addMessage(messageData.username, messageData.message, true, messageData.timestamp, messageData.id, messageData.reactions, messageData.replyTo, this.avatar, { attachment: messageData.attachment });
         }
 
 
         this.cancelReply();
+        this.clearAttachment();
 
         // Clear input and reset textarea
         this.messageInput.value = '';
@@ -662,24 +1497,204 @@ class RealTimeChatApp {
         debugLog('✅ Message sent and input cleared');
     }
 
-    addMessage(username, text, isMyMessage = false, timestamp = null, messageId = null, reactions = {}, replyTo = null, avatar = '😊') {
-        debugLog(`📝 Adding message to UI: ${username}: ${text}`);
+    async uploadAttachment(file) {
+        if (this.uploading) return;
+        if (file.size > this.maxAttachmentBytes) {
+            this.showError('Attachments can be at most 10 MB');
+            return;
+        }
+        const token = localStorage.getItem('sessionToken');
+        if (!this.isConnected || !token) {
+            this.showError('Log in to attach files');
+            return;
+        }
 
-        // Remove any existing typing indicators for this user
-        this.hideTypingIndicator(username);
+        this.uploading = true;
+        this.pendingAttachment = null;
+        this.showAttachmentPreview('Uploading…', file.name, file.size);
+        this.sendBtn.disabled = true;
 
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${isMyMessage ? 'my-message' : 'other-message'}`;
-        messageDiv.setAttribute('data-username', username);
+        try {
+            const body = new FormData();
+            body.append('file', file, file.name || 'pasted-file');
+            const response = await fetch(`${this.serverUrl}/api/attachments`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}` },
+                body
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Upload failed');
 
-        // Generate message ID if not provided - ensure it's a string
-        if (!messageId) {
-            messageId = String(Date.now() + Math.random());
+            this.pendingAttachment = result.attachment;
+            this.showAttachmentPreview('Attachment', result.attachment.name, result.attachment.size);
+            this.sendBtn.disabled = false;
+            this.messageInput.focus();
+        } catch (e) {
+            debugLog(`⚠ Upload failed: ${e.message}`);
+            this.clearAttachment();
+            this.showError(e.message);
+        } finally {
+            this.uploading = false;
         }
-        messageDiv.setAttribute('data-message-id', String(messageId));
+    }
 
-        // Store reactions state for this message
+    showAttachmentPreview(status, name, size) {
+        if (!this.attachmentPreview) return;
+        document.getElementById('attachmentStatus').textContent = status;
+        document.getElementById('attachmentName').textContent = `${name} (${this.formatFileSize(size)})`;
+        this.attachmentPreview.style.display = 'flex';
+    }
+
+    clearAttachment() {
+        this.pendingAttachment = null;
+        if (this.attachmentPreview) this.attachmentPreview.style.display = 'none';
+        this.sendBtn.disabled = this.messageInput.value.trim().length === 0;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Image thumbnails link to the full file; anything else is a download card
+    createAttachmentHtml(attachment) {
+        const url = this.escapeHtml(this.serverUrl + attachment.url);
+        const name = this.escapeHtml(attachment.name);
+        if (attachment.kind === 'image' && attachment.thumbnailUrl) {
+            const scale = Math.min(1, 320 / Math.max(attachment.width || 320, attachment.height || 320));
+            const width = Math.round((attachment.width || 320) * scale);
+            const height = Math.round((attachment.height || 320) * scale);
+            return `
+                <a class="message-attachment attachment-image" href="${url}" target="_blank" rel="noopener noreferrer">
+                    <img src="${this.escapeHtml(this.serverUrl + attachment.thumbnailUrl)}" alt="${name}" width="${width}" height="${height}" loading="lazy">
+                </a>
+            `;
+        }
+        return `
+            <a class="message-attachment attachment-file" href="${url}" download="${name}" rel="noopener noreferrer">
+                <span class="attachment-icon">📄</span>
+                <span class="attachment-details">
+                    <span class="attachment-name">${name}</span>
+                    <span class="attachment-size">${this.escapeHtml(this.formatFileSize(attachment.size))}</span>
+                </span>
+            </a>
+        `;
+    }
+
+    sendCommand(text) {
+        if (this.isConnected && this.socket) {
+            this.socket.emit('command', { text, room: this.currentRoom });
+        } else {
+            this.addSystemMessage('Commands need a connection to the server');
+        }
+
+        this.hideSuggestions();
+        this.messageInput.value = '';
+        this.messageInput.style.height = 'auto';
+        this.sendBtn.disabled = true;
+    }
+
+    // Offer slash commands while only "/name" is in the box, or usernames
+    // while typing an @mention at the caret
+    updateSuggestions() {
+        if (!this.suggestions) return;
+        const value = this.messageInput.value;
+        const caret = this.messageInput.selectionStart;
+        const commandMatch = /^\/(\w*)$/.exec(value);
+        const mentionMatch = commandMatch ? null : /(^|[^\w@])@(\w*)$/.exec(value.slice(0, caret));
+
+        if (commandMatch) {
+            const prefix = commandMatch[1].toLowerCase();
+            this.suggestionItems = this.commands
+                .filter(c => [c.name, ...(c.aliases || [])].some(n => n.startsWith(prefix)))
+                .map(c => ({ value: c.name, label: c.usage, description: c.description }));
+            this.applySuggestion = (name) => {
+                this.messageInput.value = `/${name} `;
+            };
+        } else if (mentionMatch) {
+            const prefix = mentionMatch[2];
+            this.suggestionItems = this.getMentionCandidates(prefix)
+                .map(u => ({ value: u.username, label: `@${u.username}`, description: u.online ? 'online' : '' }));
+            this.applySuggestion = (name) => {
+                const start = caret - prefix.length;
+                this.messageInput.value = `${value.slice(0, start)}${name} ${value.slice(caret)}`;
+                this.messageInput.setSelectionRange(start + name.length + 1, start + name.length + 1);
+            };
+        } else {
+            this.suggestionItems = [];
+        }
+
+        if (this.suggestionItems.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestionIndex = 0;
+        this.suggestions.innerHTML = this.suggestionItems.map((item, i) => `
+            <div class="composer-suggestion${i === 0 ? ' active' : ''}">
+                <span class="suggestion-label">${this.escapeHtml(item.label)}</span>
+                <span class="suggestion-description">${this.escapeHtml(item.description)}</span>
+            </div>
+        `).join('');
+        this.suggestions.querySelectorAll('.composer-suggestion').forEach((element, i) => {
+            // mousedown so the pick happens before the textarea blurs
+            element.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.pickSuggestion(i);
+            });
+        });
+        this.suggestions.style.display = 'block';
+    }
+
+    // Online users first, then everyone else who has an account
+    getMentionCandidates(prefix) {
+        const lower = prefix.toLowerCase();
+        const online = new Set(this.onlineUserList.map(u => u.username));
+        const names = Array.from(new Set([...online, ...this.userDirectory]));
+        return names
+            .filter(name => name !== this.username && name.toLowerCase().startsWith(lower))
+            .map(name => ({ username: name, online: online.has(name) }))
+            .sort((a, b) => (b.online - a.online) || a.username.localeCompare(b.username))
+            .slice(0, 8);
+    }
+
+    pickSuggestion(index) {
+        const item = this.suggestionItems[index];
+        if (!item || !this.applySuggestion) return;
+        this.applySuggestion(item.value);
+        this.messageInput.focus();
+        this.sendBtn.disabled = false;
+        this.hideSuggestions();
+    }
+
+    hideSuggestions() {
+        if (this.suggestions) this.suggestions.style.display = 'none';
+    }
+
+    addMessage(username, text, isMyMessage = false, timestamp = null, messageId = null, reactions = {}, replyTo = null, avatar = '😊', options = {}) {
+        debugLog(`📝 Adding message to UI: ${username}: ${text}`);
+        const room = options.room || this.currentRoom;
+
+        // Remove any existing typing indicators for this user
+        this.hideTypingIndicator(username, room);
+
+        const messageDiv = document.createElement('div');
+        const mentionsMe = !isMyMessage && Array.isArray(options.mentions) && options.mentions.includes(this.username);
+        // Messages from blocked users stay in the DOM so unblocking can show them again
+        const blocked = !isMyMessage && this.isBlocked(username);
+        messageDiv.className = `message ${isMyMessage ? 'my-message' : 'other-message'}${options.action ? ' action-message' : ''}${mentionsMe ? ' mentions-me' : ''}${blocked ? ' blocked-message' : ''}`;
+        messageDiv.setAttribute('data-username', username);
+
+        // Generate message ID if not provided - ensure it's a string
+        if (!messageId) {
+            messageId = String(Date.now() + Math.random());
+        }
+        messageDiv.setAttribute('data-message-id', String(messageId));
+
+        // Store reactions state for this message
         this.messageReactions.set(messageId, { ...reactions });
+        this.messageTexts.set(String(messageId), text);
 
         const messageTime = timestamp ? new Date(timestamp) : new Date();
         const time = messageTime.toLocaleTimeString([], {
@@ -695,31 +1710,47 @@ class RealTimeChatApp {
         let replyHtml = '';
         if (replyTo) {
             replyHtml = `
-                <div class="reply-context" data-reply-id="${replyTo.id}">
+                <div class="reply-context" data-reply-id="${this.escapeHtml(String(replyTo.id))}">
                     <div class="reply-context-header">${this.escapeHtml(replyTo.username)}</div>
-                    <div class="reply-context-text">${this.escapeHtml(replyTo.message)}</div>
+                    <div class="reply-context-text">${this.escapeHtml(ChatMarkdown.toPlainText(replyTo.message))}</div>
                 </div>
             `;
         }
 
         messageDiv.innerHTML = `
                     <div class="message-header">
-                        <div class="user-avatar">${avatar}</div>
+                        <div class="user-avatar">${this.escapeHtml(avatar)}</div>
                         <span class="message-username">${this.escapeHtml(username)}</span>
+                        ${this.createPresenceDotHtml(username)}
                         <span class="message-time">${time}</span>
+                        ${options.editedAt ? this.createEditedMarkerHtml(options.editedAt) : ''}
                     </div>
                     ${replyHtml}
-                    <div class="message-text">${this.escapeHtml(text)}</div>
+                    <div class="message-text">${this.createMessageTextHtml(username, text, options.action, options.mentions)}</div>
+                    ${options.attachment ? this.createAttachmentHtml(options.attachment) : ''}
                     <div class="message-bottom-row">
                         <div class="message-reactions">
                             ${reactionsHtml}
                         </div>
+                        ${isMyMessage ? `
+                        <button class="edit-btn" title="Edit">
+                            <svg width="15" height="15" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 000-1.41l-2.34-2.34a1 1 0 00-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                            </svg>
+                        </button>` : ''}
+                        ${isMyMessage || this.isStaff() ? `
+                        <button class="delete-btn" title="${isMyMessage ? 'Delete' : 'Delete (moderator)'}">
+                            <svg width="15" height="15" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                            </svg>
+                        </button>` : ''}
+                        ${isMyMessage ? '' : this.createReportButtonHtml()}
                         <button class="reply-btn" title="Reply">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                                 <path d="M10 9V5l-7 7 7 7v-4.1c5 0 8.5 1.6 11 5.1-1-5-4-10-11-11z"/>
                             </svg>
                         </button>
-                        <button class="reaction-btn" data-message-id="${messageId}" title="Add Reaction">
+                        <button class="reaction-btn" data-message-id="${this.escapeHtml(String(messageId))}" title="Add Reaction">
                             <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
                                 <circle cx="12" cy="12" r="10" fill="none" stroke="currentColor" stroke-width="1.5"/>
                                 <circle cx="9" cy="10" r="1.2"/>
@@ -730,12 +1761,39 @@ class RealTimeChatApp {
                     </div>
                 `;
 
+        this.bindProfileLink(messageDiv);
+
         // Add event listener for reply button
         const replyBtn = messageDiv.querySelector('.reply-btn');
         if (replyBtn) {
             replyBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.startReply(messageId, username, text);
+                this.startReply(messageId, username, this.messageTexts.get(String(messageId)) || text);
+            });
+        }
+
+        // Add event listeners for editing and deleting our own messages
+        const editBtn = messageDiv.querySelector('.edit-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.startEdit(messageId);
+            });
+        }
+
+        const deleteBtn = messageDiv.querySelector('.delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteMessage(messageId);
+            });
+        }
+
+        const reportBtn = messageDiv.querySelector('.report-btn');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showReportModal(messageId);
             });
         }
 
@@ -767,26 +1825,111 @@ class RealTimeChatApp {
             });
         });
 
-        this.messagesContainer.appendChild(messageDiv);
-        this.scrollToBottom();
+        // Older history is inserted above the given element instead of at the bottom
+        if (options.before) {
+            this.getRoomContainer(room).insertBefore(messageDiv, options.before);
+        } else {
+            this.getRoomContainer(room).appendChild(messageDiv);
+            if (room === this.currentRoom && !this.activePrivateChat) this.scrollToBottom();
+        }
 
         debugLog(`✅ Message added to UI successfully with ID: ${messageId}`);
     }
 
+    // Empty for attachment-only messages, which hides the text row
+    createMessageTextHtml(username, text, isAction, mentions = []) {
+        if (!text) return '';
+        const actor = isAction ? `<span class="action-username">${this.escapeHtml(username)}</span> ` : '';
+        return actor + ChatMarkdown.render(text, { mentions: mentions || [], currentUser: this.username });
+    }
+
+    createEditedMarkerHtml(editedAt) {
+        const editedTime = new Date(editedAt).toLocaleString([], { hour12: false });
+        return `<span class="message-edited" title="Edited ${this.escapeHtml(editedTime)}">(edited)</span>`;
+    }
+
+    // Swap the message text for an inline editor; Enter saves, Escape cancels
+    startEdit(messageId) {
+        const messageElement = this.findMessageElement(messageId);
+        if (!messageElement || messageElement.querySelector('.message-edit-input')) return;
+
+        const textElement = messageElement.querySelector('.message-text');
+        const originalText = this.messageTexts.get(String(messageId)) || '';
+        const editor = document.createElement('textarea');
+        editor.className = 'message-edit-input';
+        editor.value = originalText;
+        editor.maxLength = 500;
+        textElement.style.display = 'none';
+        textElement.insertAdjacentElement('afterend', editor);
+        editor.focus();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            const newText = editor.value.trim();
+            editor.remove();
+            textElement.style.display = '';
+            if (save && newText && newText !== originalText && this.isConnected && this.socket) {
+                this.socket.emit('edit message', { messageId: String(messageId), message: newText });
+            }
+        };
+
+        editor.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        editor.addEventListener('blur', () => finish(false));
+    }
+
+    deleteMessage(messageId) {
+        if (!confirm('Delete this message?')) return;
+        if (this.isConnected && this.socket) {
+            this.socket.emit('delete message', { messageId: String(messageId) });
+        }
+    }
+
+    applyMessageEdit(messageId, text, editedAt, mentions = []) {
+        const messageElement = this.findMessageElement(messageId);
+        if (!messageElement) return;
+
+        this.messageTexts.set(String(messageId), text);
+        const username = messageElement.getAttribute('data-username');
+        const textElement = messageElement.querySelector('.message-text');
+        if (textElement) {
+            textElement.innerHTML = this.createMessageTextHtml(username, text, messageElement.classList.contains('action-message'), mentions);
+        }
+        if (username !== this.username) {
+            messageElement.classList.toggle('mentions-me', mentions.includes(this.username));
+        }
+
+        const header = messageElement.querySelector('.message-header');
+        const marker = header && header.querySelector('.message-edited');
+        if (marker) marker.remove();
+        if (header) header.insertAdjacentHTML('beforeend', this.createEditedMarkerHtml(editedAt));
+    }
+
     createReactionsHtml(reactions, messageId) {
         if (!reactions || Object.keys(reactions).length === 0) {
             return '';
         }
 
         let reactionsHtml = '';
-        for (const [reaction, users] of Object.entries(reactions)) {
-            if (users && Array.isArray(users) && users.length > 0) {
+        for (const [reaction, allUsers] of Object.entries(reactions)) {
+            // Reactions from blocked users aren't shown or counted
+            const users = Array.isArray(allUsers) ? allUsers.filter(u => !this.isBlocked(u)) : [];
+            if (users.length > 0) {
                 const hasMyReaction = users.includes(this.username);
                 const badgeClass = hasMyReaction ? 'reaction-badge my-reaction' : 'reaction-badge';
 
                 reactionsHtml += `
-                            <span class="${badgeClass}" data-reaction="${reaction}" data-message-id="${messageId}">
-                                ${reaction} ${users.length}
+                            <span class="${badgeClass}" data-reaction="${this.escapeHtml(reaction)}" data-message-id="${this.escapeHtml(String(messageId))}">
+                                ${this.escapeHtml(reaction)} ${users.length}
                             </span>
                         `;
             }
@@ -876,7 +2019,7 @@ class RealTimeChatApp {
         this.replyingTo = { id: messageId, username, message: text };
 
         if (this.replyToUsername) this.replyToUsername.textContent = username;
-        if (this.replyToText) this.replyToText.textContent = text;
+        if (this.replyToText) this.replyToText.textContent = ChatMarkdown.toPlainText(text);
         if (this.replyPreview) this.replyPreview.style.display = 'flex';
 
         if (this.messageInput) {
@@ -901,7 +2044,7 @@ class RealTimeChatApp {
     }
 
     scrollToMessage(messageId) {
-        const element = document.querySelector(`[data-message-id="${messageId}"]`);
+        const element = this.messagesContainer.querySelector(`[data-message-id="${CSS.escape(String(messageId))}"]`);
         if (element) {
             element.scrollIntoView({ behavior: 'smooth', block: 'center' });
             // Optional: highlight effect
@@ -937,7 +2080,6 @@ class RealTimeChatApp {
             this.socket.emit('message reaction', {
                 messageId: String(messageId),
                 reaction: reaction,
-                username: this.username,
                 action: 'add'
             });
         } else {
@@ -979,7 +2121,6 @@ class RealTimeChatApp {
             this.socket.emit('message reaction', {
                 messageId: String(messageId),
                 reaction: reaction,
-                username: this.username,
                 action: action
             });
         } else {
@@ -990,7 +2131,7 @@ class RealTimeChatApp {
     updateMessageReactions(messageId, reaction, username, action) {
         debugLog(`😀 Updating reactions for message ${messageId}: ${action} ${reaction} by ${username}`);
 
-        const messageElement = document.querySelector(`[data-message-id="${String(messageId)}"]`);
+        const messageElement = this.findMessageElement(messageId);
         if (!messageElement) {
             debugLog(`⚠ Message element not found for ID: ${messageId}`);
             return;
@@ -1045,10 +2186,16 @@ class RealTimeChatApp {
 
         // Update stored reactions state
         this.messageReactions.set(messageId, reactions);
+        this.renderMessageReactions(messageId);
 
-        // Update reactions display
-        const reactionsHtml = this.createReactionsHtml(reactions, messageId);
-        reactionsContainer.innerHTML = reactionsHtml;
+        debugLog(`✅ Reactions updated for message ${messageId}`);
+    }
+
+    renderMessageReactions(messageId) {
+        const messageElement = this.findMessageElement(messageId);
+        const reactionsContainer = messageElement && messageElement.querySelector('.message-reactions');
+        if (!reactionsContainer) return;
+        reactionsContainer.innerHTML = this.createReactionsHtml(this.messageReactions.get(messageId) || {}, messageId);
 
         const newReactionBadges = reactionsContainer.querySelectorAll('.reaction-badge');
         newReactionBadges.forEach(badge => {
@@ -1058,8 +2205,6 @@ class RealTimeChatApp {
                 this.toggleReaction(messageId, reactionType);
             });
         });
-
-        debugLog(`✅ Reactions updated for message ${messageId}`);
     }
 
     addSystemMessage(text, timestamp = null) {
@@ -1084,9 +2229,10 @@ class RealTimeChatApp {
         this.scrollToBottom();
     }
 
-    showTypingIndicator(username) {
+    showTypingIndicator(username, room = this.currentRoom) {
         // Remove existing typing indicator for this user
-        this.hideTypingIndicator(username);
+        this.hideTypingIndicator(username, room);
+        if (this.isBlocked(username)) return;
 
         const typingDiv = document.createElement('div');
         typingDiv.className = 'typing-indicator';
@@ -1101,17 +2247,1026 @@ class RealTimeChatApp {
                     </div>
                 `;
 
-        this.messagesContainer.appendChild(typingDiv);
-        this.scrollToBottom();
+        this.getRoomContainer(room).appendChild(typingDiv);
+        if (room === this.currentRoom) this.scrollToBottom();
     }
 
-    hideTypingIndicator(username) {
-        const existingIndicator = this.messagesContainer.querySelector(`[data-typing-user="${username}"]`);
+    hideTypingIndicator(username, room = this.currentRoom) {
+        const existingIndicator = this.getRoomContainer(room).querySelector(`[data-typing-user="${CSS.escape(username)}"]`);
         if (existingIndicator) {
             existingIndicator.remove();
         }
     }
 
+    getRoomState(room) {
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, {
+                name: room,
+                joined: false,
+                unread: 0,
+                scrollTop: null, // null means "stick to the bottom"
+                stash: document.createElement('div'), // holds the room's messages while it is not shown
+                hasMore: false, // the server has older history than what is loaded
+                loadingOlder: false,
+                users: [],
+                info: null
+            });
+        }
+        return this.rooms.get(room);
+    }
+
+    // Messages for the active room live in messagesContainer, the rest stay detached
+    getRoomContainer(room) {
+        return room === this.currentRoom && !this.activePrivateChat ? this.messagesContainer : this.getRoomState(room).stash;
+    }
+
+    findMessageElement(messageId) {
+        const selector = `[data-message-id="${CSS.escape(String(messageId))}"]`;
+        const element = this.messagesContainer.querySelector(selector);
+        if (element) return element;
+        for (const state of [...this.rooms.values(), ...this.privateChats.values()]) {
+            const stashed = state.stash.querySelector(selector);
+            if (stashed) return stashed;
+        }
+        return null;
+    }
+
+    loadRoomMessages(room, messages, hasMore = false) {
+        const state = this.getRoomState(room);
+        state.joined = true;
+        state.hasMore = hasMore;
+        state.loadingOlder = false;
+
+        const container = this.getRoomContainer(room);
+        container.querySelectorAll('.message, .typing-indicator, .history-loader').forEach(el => {
+            this.messageReactions.delete(el.getAttribute('data-message-id'));
+            this.messageTexts.delete(el.getAttribute('data-message-id'));
+            el.remove();
+        });
+
+        if (Array.isArray(messages)) {
+            messages.forEach((m) => {
+                if (!m || !m.id) return;
+                this.addMessage(m.username, m.message, m.username === this.username, m.timestamp, m.id, m.reactions || {}, m.replyTo, m.avatar, { room, editedAt: m.editedAt, action: m.action, attachment: m.attachment, mentions: m.mentions });
+            });
+        }
+        this.renderRoomList();
+    }
+
+    // Ask for the page before the oldest message shown in the current room,
+    // or with `until`, everything back to that message
+    loadOlderMessages(until = null) {
+        const state = this.getRoomState(this.currentRoom);
+        if (!state.hasMore || state.loadingOlder || !this.isConnected || !this.socket) return;
+        const oldest = this.messagesContainer.querySelector('.message[data-message-id]');
+        if (!oldest) return;
+
+        state.loadingOlder = true;
+        const loader = document.createElement('div');
+        loader.className = 'history-loader';
+        loader.textContent = 'Loading older messages…';
+        this.messagesContainer.insertBefore(loader, this.messagesContainer.firstChild);
+
+        this.socket.emit('load older messages', {
+            room: this.currentRoom,
+            before: oldest.getAttribute('data-message-id'),
+            ...(until ? { until } : {})
+        });
+    }
+
+    prependOlderMessages(room, messages, hasMore) {
+        const state = this.getRoomState(room);
+        const container = this.getRoomContainer(room);
+        container.querySelectorAll('.history-loader').forEach(el => el.remove());
+        state.loadingOlder = false;
+        state.hasMore = hasMore;
+
+        // Keep whatever is on screen in place while content grows above it
+        const previousHeight = container.scrollHeight;
+        const anchor = container.querySelector('.message[data-message-id]') || container.firstChild;
+        (messages || []).forEach((m) => {
+            if (!m || !m.id || this.findMessageElement(m.id)) return;
+            this.addMessage(m.username, m.message, m.username === this.username, m.timestamp, m.id, m.reactions || {}, m.replyTo, m.avatar, { room, editedAt: m.editedAt, action: m.action, attachment: m.attachment, mentions: m.mentions, before: anchor });
+        });
+
+        if (room === this.currentRoom) {
+            container.style.scrollBehavior = 'auto';
+            container.scrollTop += container.scrollHeight - previousHeight;
+            container.style.scrollBehavior = '';
+        }
+    }
+
+    // Show a message from search results, joining its room or loading older
+    // history first when it isn't on screen yet
+    jumpToMessage(room, messageId) {
+        this.hideSearchModal();
+        const state = this.getRoomState(room);
+        if (!state.joined) {
+            this.pendingJump = { room, messageId };
+            this.socket.emit('join room', { room });
+            return;
+        }
+
+        this.switchRoom(room);
+        if (this.findMessageElement(messageId)) {
+            this.pendingJump = null;
+            this.scrollToMessage(messageId);
+        } else if (state.hasMore) {
+            this.pendingJump = { room, messageId };
+            this.loadOlderMessages(messageId);
+        } else {
+            this.pendingJump = null;
+            this.showError('That message is no longer available');
+        }
+    }
+
+    finishPendingJump(room) {
+        if (!this.pendingJump || this.pendingJump.room !== room || room !== this.currentRoom) return;
+        const { messageId } = this.pendingJump;
+        this.pendingJump = null;
+        if (this.findMessageElement(messageId)) {
+            this.scrollToMessage(messageId);
+        } else {
+            this.showError('That message is no longer available');
+        }
+    }
+
+    showSearchModal() {
+        if (!this.searchModal) return;
+        this.searchModal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        const query = document.getElementById('searchQuery');
+        if (query) query.focus();
+    }
+
+    hideSearchModal() {
+        if (!this.searchModal) return;
+        this.searchModal.classList.remove('show');
+        document.body.style.overflow = '';
+    }
+
+    runSearch() {
+        const value = (id) => (document.getElementById(id).value || '').trim();
+        const filters = {};
+        if (value('searchQuery')) filters.query = value('searchQuery');
+        if (value('searchAuthor')) filters.author = value('searchAuthor');
+        // Date inputs are whole local days
+        if (value('searchFrom')) filters.from = new Date(`${value('searchFrom')}T00:00:00`).toISOString();
+        if (value('searchTo')) filters.to = new Date(`${value('searchTo')}T23:59:59.999`).toISOString();
+        if (document.getElementById('searchHasReply').checked) filters.hasReply = true;
+
+        if (!filters.query && !filters.author) {
+            this.searchSummary.textContent = 'Enter words to search for or an author';
+            return;
+        }
+        if (!this.isConnected || !this.socket) {
+            this.searchSummary.textContent = 'Search needs a connection to the server';
+            return;
+        }
+        this.searchSummary.textContent = 'Searching…';
+        this.socket.emit('search messages', filters);
+    }
+
+    renderSearchResults(data) {
+        if (!this.searchResults) return;
+        const results = Array.isArray(data.results) ? data.results : [];
+        this.searchSummary.textContent = data.total > results.length
+            ? `Showing the newest ${results.length} of ${data.total} matches`
+            : `${results.length} ${results.length === 1 ? 'match' : 'matches'}`;
+
+        const terms = (data.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        this.searchResults.innerHTML = '';
+        results.forEach(hit => this.searchResults.appendChild(this.createResultElement(hit, terms)));
+    }
+
+    // One message in the search or mentions list; room messages jump on click
+    createResultElement(hit, terms = []) {
+        const where = hit.room
+            ? `# ${hit.room}`
+            : hit.name ? `👥 ${hit.name}` : `Private chat with ${hit.participants.filter(p => p !== this.username).join(', ')}`;
+        const when = new Date(hit.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+        const item = document.createElement('div');
+        item.className = `search-result${hit.room ? '' : ' private'}`;
+        item.innerHTML = `
+            <div class="search-result-meta">
+                <span class="search-result-where">${this.escapeHtml(where)}</span>
+                <span class="search-result-time">${this.escapeHtml(when)}</span>
+            </div>
+            ${hit.replyTo ? `<div class="search-result-reply">↪ ${this.escapeHtml(hit.replyTo.username)}: ${this.escapeHtml(hit.replyTo.message)}</div>` : ''}
+            <div class="search-result-text"><strong>${this.escapeHtml(hit.username)}</strong> ${this.highlightTerms(ChatMarkdown.toPlainText(hit.message), terms)}${hit.attachment ? ` 📎 ${this.highlightTerms(hit.attachment.name, terms)}` : ''}</div>
+        `;
+        item.addEventListener('click', () => {
+            this.hideMentionsModal();
+            if (hit.room) {
+                this.jumpToMessage(hit.room, hit.id);
+            } else {
+                this.jumpToPrivateMessage(hit.chatId, hit.participants, hit.id);
+            }
+        });
+        return item;
+    }
+
+    showMentionsModal() {
+        if (!this.mentionsModal) return;
+        this.mentionsModal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        this.mentionsList.innerHTML = '<div class="no-users-message">Loading…</div>';
+        if (this.isConnected && this.socket) this.socket.emit('list mentions');
+        this.unreadMentions = 0;
+        this.updateMentionsBadge();
+    }
+
+    hideMentionsModal() {
+        if (!this.mentionsModal) return;
+        this.mentionsModal.classList.remove('show');
+        document.body.style.overflow = '';
+    }
+
+    renderMentions(mentions) {
+        if (!this.mentionsList) return;
+        this.mentionsList.innerHTML = '';
+        if (!Array.isArray(mentions) || mentions.length === 0) {
+            this.mentionsList.innerHTML = '<div class="no-users-message">Nobody has mentioned you yet</div>';
+            return;
+        }
+        mentions.forEach(hit => this.mentionsList.appendChild(this.createResultElement(hit)));
+    }
+
+    updateMentionsBadge() {
+        const badge = document.getElementById('mentionsBadge');
+        if (!badge) return;
+        badge.textContent = this.unreadMentions > 99 ? '99+' : String(this.unreadMentions);
+        badge.style.display = this.unreadMentions > 0 ? '' : 'none';
+    }
+
+    // Escapes text and wraps each search term in <mark>
+    highlightTerms(text, terms) {
+        if (terms.length === 0) return this.escapeHtml(text);
+        const alternatives = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${alternatives.join('|')})`, 'gi');
+        // split() with a capture group puts the matches at the odd indexes
+        return String(text).split(pattern)
+            .map((part, i) => i % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+            .join('');
+    }
+
+    switchRoom(room) {
+        this.closePrivateChat();
+        if (room === this.currentRoom) {
+            this.updateRoomHeader();
+            this.renderRoomList();
+            return;
+        }
+        debugLog(`🏠 Switching to #${room}`);
+
+        this.stopTyping();
+        this.cancelReply();
+        this.closeReactionMenu();
+
+        // Park the current room's messages along with where we were scrolled to
+        const previous = this.getRoomState(this.currentRoom);
+        const container = this.messagesContainer;
+        const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+        previous.scrollTop = atBottom ? null : container.scrollTop;
+        while (container.firstChild) previous.stash.appendChild(container.firstChild);
+
+        const next = this.getRoomState(room);
+        while (next.stash.firstChild) container.appendChild(next.stash.firstChild);
+        next.unread = 0;
+        this.currentRoom = room;
+
+        // Restore the scroll position without the smooth-scroll animation
+        container.style.scrollBehavior = 'auto';
+        if (next.scrollTop === null) {
+            this.scrollToBottom();
+        } else {
+            container.scrollTop = next.scrollTop;
+        }
+        container.style.scrollBehavior = '';
+
+        this.updateRoomHeader();
+        this.renderRoomList();
+    }
+
+    updateRoomHeader() {
+        const chat = this.activePrivateChat && this.privateChats.get(this.activePrivateChat);
+        if (this.groupMembersBtn) this.groupMembersBtn.style.display = chat && chat.group ? '' : 'none';
+        if (chat) {
+            if (this.currentRoomName) this.currentRoomName.textContent = chat.group ? `👥 ${chat.name}` : `@ ${chat.title}`;
+            if (this.roomMemberCount) {
+                this.roomMemberCount.textContent = chat.group ? `${chat.participants.length} members` : 'Private chat';
+                this.roomMemberCount.title = chat.participants.join(', ');
+            }
+            return;
+        }
+        const state = this.getRoomState(this.currentRoom);
+        if (this.currentRoomName) this.currentRoomName.textContent = `# ${this.currentRoom}`;
+        if (this.roomMemberCount) {
+            this.roomMemberCount.textContent = `${state.users.length} here`;
+            this.roomMemberCount.title = state.users.map(u => u.username).join(', ');
+        }
+    }
+
+    renderRoomList() {
+        if (!this.roomList || !this.availableRoomList) return;
+        this.roomList.innerHTML = '';
+        this.availableRoomList.innerHTML = '';
+
+        const rooms = Array.from(this.rooms.values()).sort((a, b) => {
+            if (a.name === 'general') return -1;
+            if (b.name === 'general') return 1;
+            return a.name.localeCompare(b.name);
+        });
+
+        rooms.forEach(state => {
+            const item = document.createElement('div');
+            item.className = 'channel-item';
+            item.setAttribute('data-room', state.name);
+
+            if (state.joined) {
+                if (state.name === this.currentRoom && !this.activePrivateChat) item.classList.add('active');
+                item.innerHTML = `
+                    <span class="channel-name"># ${this.escapeHtml(state.name)}</span>
+                    ${state.unread > 0 ? `<span class="channel-unread">${state.unread > 99 ? '99+' : state.unread}</span>` : ''}
+                    ${state.name !== 'general' ? '<button class="channel-leave-btn" title="Leave room" aria-label="Leave room">×</button>' : ''}
+                `;
+                item.addEventListener('click', () => this.switchRoom(state.name));
+
+                const leaveBtn = item.querySelector('.channel-leave-btn');
+                if (leaveBtn) {
+                    leaveBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        if (this.socket) this.socket.emit('leave room', { room: state.name });
+                    });
+                }
+                this.roomList.appendChild(item);
+            } else if (state.info) {
+                item.innerHTML = `
+                    <span class="channel-name"># ${this.escapeHtml(state.name)}</span>
+                    <span class="channel-meta">${state.info.online} online</span>
+                `;
+                item.title = `Join #${state.name}`;
+                item.addEventListener('click', () => {
+                    if (this.socket) this.socket.emit('join room', { room: state.name });
+                });
+                this.availableRoomList.appendChild(item);
+            }
+        });
+
+        if (!this.availableRoomList.children.length) {
+            this.availableRoomList.innerHTML = '<div class="channel-empty">No other rooms yet</div>';
+        }
+    }
+
+    // Private chats share the message pane with rooms: the open chat's
+    // messages are swapped into messagesContainer, the rest stay in a stash
+    ensurePrivateChat(chatId, participants, info = {}) {
+        if (!this.privateChats.has(chatId)) {
+            this.privateChats.set(chatId, {
+                chatId,
+                participants: [],
+                group: false,
+                name: null,
+                owner: null,
+                partner: null,
+                unread: 0,
+                stash: document.createElement('div'),
+                loaded: false,
+                lastMessage: null
+            });
+        }
+        const chat = this.privateChats.get(chatId);
+        if (participants) this.updatePrivateChatInfo(chat, { participants, ...info });
+        return chat;
+    }
+
+    // info: { participants, group, name, owner } as sent by the server
+    updatePrivateChatInfo(chat, info) {
+        if (info.participants) chat.participants = info.participants;
+        if (info.group) {
+            chat.group = true;
+            chat.name = info.name;
+            chat.owner = info.owner;
+        }
+        chat.partner = chat.group ? null : chat.participants.find(p => p !== this.username) || null;
+        chat.title = chat.group ? chat.name : chat.partner || 'Deleted user';
+    }
+
+    getPrivateChatWith(username) {
+        for (const chat of this.privateChats.values()) {
+            if (!chat.group && chat.partner === username) return chat;
+        }
+        return null;
+    }
+
+    getPrivateChatContainer(chatId) {
+        return chatId === this.activePrivateChat ? this.messagesContainer : this.privateChats.get(chatId).stash;
+    }
+
+    // Clicking someone in the online users list opens an existing chat or sends an invite
+    inviteToPrivateChat(username) {
+        const existing = this.getPrivateChatWith(username);
+        if (existing) {
+            this.openPrivateChat(existing.chatId);
+            return;
+        }
+        if (this.socket && this.isConnected) {
+            this.socket.emit('invite to private chat', { targetUsername: username });
+        }
+    }
+
+    showInvitePrompt(fromUsername) {
+        const container = this.ensurePresenceToastsContainer();
+        if (!container) return;
+        const toast = document.createElement('div');
+        toast.className = 'presence-toast invite invite-prompt';
+        toast.innerHTML = `
+            <span class="icon">✉️</span>
+            <span class="name">${this.escapeHtml(fromUsername)}</span>
+            <span class="meta">wants to chat privately</span>
+            <button class="invite-accept-btn">Accept</button>
+            <button class="invite-decline-btn">Decline</button>
+        `;
+        const answer = (accept) => {
+            if (this.socket) {
+                this.socket.emit(accept ? 'accept private chat' : 'decline private chat', { fromUsername });
+            }
+            if (accept) this.openChatWith = fromUsername;
+            toast.classList.add('fade-out');
+            setTimeout(() => {
+                if (toast.parentNode) toast.parentNode.removeChild(toast);
+            }, 320);
+        };
+        toast.querySelector('.invite-accept-btn').addEventListener('click', () => answer(true));
+        toast.querySelector('.invite-decline-btn').addEventListener('click', () => answer(false));
+        container.appendChild(toast);
+    }
+
+    loadPrivateChatHistory(data) {
+        const { chatId, participants, messages } = data;
+        const chat = this.ensurePrivateChat(chatId, participants, data);
+        const container = this.getPrivateChatContainer(chatId);
+        container.querySelectorAll('.message, .system-message').forEach(el => el.remove());
+        (messages || []).forEach(m => this.addPrivateMessageElement(chat, m));
+        chat.loaded = true;
+        chat.lastMessage = (messages || [])[messages.length - 1] || chat.lastMessage;
+
+        // Open chats we just started: accepted invites and groups we created
+        const created = chat.group && this.creatingGroup === chat.name && chat.owner === this.username;
+        if (this.openChatWith === chat.partner || created) {
+            this.openChatWith = null;
+            this.creatingGroup = null;
+            this.openPrivateChat(chatId);
+        } else if (chatId === this.activePrivateChat) {
+            this.scrollToBottom();
+        }
+        if (this.pendingJump && this.pendingJump.chatId === chatId) {
+            this.openPrivateChat(chatId);
+            const { messageId } = this.pendingJump;
+            this.pendingJump = null;
+            if (this.findMessageElement(messageId)) {
+                this.scrollToMessage(messageId);
+            } else {
+                this.showError('That message is no longer available');
+            }
+        }
+        this.renderDmList();
+    }
+
+    addPrivateMessage(data) {
+        const chat = this.ensurePrivateChat(data.chatId, data.system ? null : [data.username, ...(data.recipients || [data.toUsername])]);
+        chat.lastMessage = data;
+        if (chat.loaded) {
+            this.addPrivateMessageElement(chat, data);
+        } else if (this.socket) {
+            // The full history includes this message
+            this.socket.emit('get private chat history', { chatId: data.chatId });
+        }
+        if (data.chatId === this.activePrivateChat) {
+            this.scrollToBottom();
+            if (data.username !== this.username) this.markPrivateChatRead(data.chatId);
+        } else if (data.username !== this.username && !data.system) {
+            chat.unread++;
+        }
+        this.renderDmList();
+    }
+
+    removePrivateChat(chatId) {
+        const chat = this.privateChats.get(chatId);
+        if (!chat) return;
+        if (chatId === this.activePrivateChat) {
+            this.closePrivateChat();
+            this.updateRoomHeader();
+            this.renderRoomList();
+        }
+        this.privateChats.delete(chatId);
+        this.hideGroupModal();
+        this.renderDmList();
+        if (chat.group) this.addSystemMessage(`You are no longer a member of ${chat.name}`);
+    }
+
+    // Private messages have no replies, reactions or edits, so they get a lighter element
+    addPrivateMessageElement(chat, m) {
+        if (!m || !m.id || this.findMessageElement(m.id)) return;
+        const isMine = m.username === this.username;
+        const time = new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+        if (m.system) {
+            const systemDiv = document.createElement('div');
+            systemDiv.className = 'system-message';
+            systemDiv.setAttribute('data-message-id', String(m.id));
+            systemDiv.innerHTML = `
+                <div class="system-text">${this.escapeHtml(m.message)}</div>
+                <div class="system-time">${time}</div>
+            `;
+            this.getPrivateChatContainer(chat.chatId).appendChild(systemDiv);
+            return;
+        }
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message private-message ${isMine ? 'my-message' : 'other-message'}${!isMine && this.isBlocked(m.username) ? ' blocked-message' : ''}`;
+        messageDiv.setAttribute('data-username', m.username);
+        messageDiv.setAttribute('data-message-id', String(m.id));
+        messageDiv.innerHTML = `
+            <div class="message-header">
+                <div class="user-avatar">${this.escapeHtml(m.avatar || '😊')}</div>
+                <span class="message-username">${this.escapeHtml(m.username)}</span>
+                ${this.createPresenceDotHtml(m.username)}
+                <span class="message-time">${time}</span>
+            </div>
+            <div class="message-text">${this.createMessageTextHtml(m.username, m.message, false)}</div>
+            ${m.attachment ? this.createAttachmentHtml(m.attachment) : ''}
+            ${isMine ? `<div class="dm-status">${this.createDmStatusHtml(m, chat)}</div>` : `<div class="message-bottom-row">${this.createReportButtonHtml()}</div>`}
+        `;
+        this.bindProfileLink(messageDiv);
+        const reportBtn = messageDiv.querySelector('.report-btn');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showReportModal(m.id, chat.chatId);
+            });
+        }
+        this.getPrivateChatContainer(chat.chatId).appendChild(messageDiv);
+    }
+
+    // Sent, delivered or read, for our own private messages. In groups it
+    // counts the members who have read it until everyone has.
+    createDmStatusHtml(m, chat) {
+        const readBy = m.readBy || [];
+        if (m.readAt) {
+            const label = chat.group ? 'Read by everyone' : 'Read';
+            return `<span class="dm-status-read" title="${this.escapeHtml(new Date(m.readAt).toLocaleString())}">✓✓ ${label}</span>`;
+        }
+        if (chat.group && readBy.length > 0) {
+            return `<span class="dm-status-read" title="${this.escapeHtml(readBy.join(', '))}">✓✓ Read by ${readBy.length}</span>`;
+        }
+        if (m.deliveredAt) return '<span class="dm-status-delivered">✓✓ Delivered</span>';
+        return '<span class="dm-status-sent">✓ Sent</span>';
+    }
+
+    updatePrivateMessageStatus(data) {
+        const chat = this.privateChats.get(data.chatId);
+        if (!chat) return;
+        data.messages.forEach(status => {
+            const element = this.findMessageElement(status.id);
+            const statusElement = element && element.querySelector('.dm-status');
+            if (statusElement) statusElement.innerHTML = this.createDmStatusHtml(status, chat);
+        });
+    }
+
+    markPrivateChatRead(chatId) {
+        if (this.socket && this.isConnected) this.socket.emit('mark private chat read', { chatId });
+    }
+
+    openPrivateChat(chatId) {
+        const chat = this.privateChats.get(chatId);
+        if (!chat) return;
+        if (chatId !== this.activePrivateChat) {
+            this.stopTyping();
+            this.cancelReply();
+            this.closeReactionMenu();
+
+            // Park whatever is on screen: the current room, or another private chat
+            const container = this.messagesContainer;
+            if (this.activePrivateChat) {
+                const previous = this.privateChats.get(this.activePrivateChat);
+                while (container.firstChild) previous.stash.appendChild(container.firstChild);
+            } else {
+                const room = this.getRoomState(this.currentRoom);
+                const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+                room.scrollTop = atBottom ? null : container.scrollTop;
+                while (container.firstChild) room.stash.appendChild(container.firstChild);
+            }
+            while (chat.stash.firstChild) container.appendChild(chat.stash.firstChild);
+            this.activePrivateChat = chatId;
+
+            container.style.scrollBehavior = 'auto';
+            this.scrollToBottom();
+            container.style.scrollBehavior = '';
+        }
+        chat.unread = 0;
+        if (!chat.loaded && this.socket) this.socket.emit('get private chat history', { chatId });
+        this.markPrivateChatRead(chatId);
+
+        this.updateRoomHeader();
+        this.renderRoomList();
+        this.renderDmList();
+    }
+
+    // Put the current room back on screen
+    closePrivateChat() {
+        if (!this.activePrivateChat) return;
+        const chat = this.privateChats.get(this.activePrivateChat);
+        const container = this.messagesContainer;
+        while (container.firstChild) chat.stash.appendChild(container.firstChild);
+        this.activePrivateChat = null;
+
+        const room = this.getRoomState(this.currentRoom);
+        while (room.stash.firstChild) container.appendChild(room.stash.firstChild);
+        container.style.scrollBehavior = 'auto';
+        if (room.scrollTop === null) {
+            this.scrollToBottom();
+        } else {
+            container.scrollTop = room.scrollTop;
+        }
+        container.style.scrollBehavior = '';
+        this.renderDmList();
+    }
+
+    jumpToPrivateMessage(chatId, participants, messageId) {
+        this.hideSearchModal();
+        const chat = this.ensurePrivateChat(chatId, participants);
+        if (!chat.loaded) {
+            this.pendingJump = { chatId, messageId };
+            if (this.socket) this.socket.emit('get private chat history', { chatId });
+            return;
+        }
+        this.openPrivateChat(chatId);
+        if (this.findMessageElement(messageId)) {
+            this.scrollToMessage(messageId);
+        } else {
+            this.showError('That message is no longer available');
+        }
+    }
+
+    sendPrivateMessage(messageText) {
+        if (!this.isConnected || !this.socket) {
+            this.showError('Private messages need a connection to the server');
+            return;
+        }
+        this.socket.emit('private message', {
+            chatId: this.activePrivateChat,
+            message: messageText,
+            attachment: this.pendingAttachment ? { id: this.pendingAttachment.id, name: this.pendingAttachment.name } : undefined
+        });
+
+        this.clearAttachment();
+        this.messageInput.value = '';
+        this.messageInput.style.height = 'auto';
+        this.sendBtn.disabled = true;
+    }
+
+    renderDmList() {
+        if (!this.dmList) return;
+        this.dmList.innerHTML = '';
+
+        const chats = Array.from(this.privateChats.values()).sort((a, b) => {
+            const aTime = a.lastMessage ? a.lastMessage.timestamp : '';
+            const bTime = b.lastMessage ? b.lastMessage.timestamp : '';
+            return String(bTime).localeCompare(String(aTime));
+        });
+
+        chats.forEach(chat => {
+            const item = document.createElement('div');
+            item.className = 'channel-item dm-item';
+            if (chat.chatId === this.activePrivateChat) item.classList.add('active');
+            const online = this.onlineUserList.some(u => (u.username || u) === chat.partner);
+            const marker = chat.group ? '👥' : `<span class="online-indicator${online ? '' : ' offline'}"></span>`;
+            item.innerHTML = `
+                <span class="channel-name">${marker} ${this.escapeHtml(chat.title)}</span>
+                ${chat.unread > 0 ? `<span class="channel-unread">${chat.unread > 99 ? '99+' : chat.unread}</span>` : ''}
+            `;
+            item.addEventListener('click', () => this.openPrivateChat(chat.chatId));
+            this.dmList.appendChild(item);
+        });
+
+        if (!this.dmList.children.length) {
+            this.dmList.innerHTML = '<div class="channel-empty">Click someone online to start a private chat</div>';
+        }
+    }
+
+    showGroupModal() {
+        if (!this.groupModal) return;
+        this.renderGroupModal();
+        this.groupModal.classList.add('show');
+    }
+
+    hideGroupModal() {
+        if (this.groupModal) this.groupModal.classList.remove('show');
+    }
+
+    // Members of the open group; the owner can rename it and add or remove people
+    renderGroupModal() {
+        if (!this.groupModal) return;
+        const chat = this.activePrivateChat && this.privateChats.get(this.activePrivateChat);
+        if (!chat || !chat.group) {
+            this.hideGroupModal();
+            return;
+        }
+        const isOwner = chat.owner === this.username;
+        document.getElementById('groupModalTitle').textContent = `👥 ${chat.name}`;
+        document.getElementById('groupNameInput').value = chat.name;
+        this.groupModal.querySelectorAll('.group-owner-only').forEach(el => {
+            el.style.display = isOwner ? '' : 'none';
+        });
+
+        const list = document.getElementById('groupMembersList');
+        list.innerHTML = '';
+        chat.participants.forEach(username => {
+            const item = document.createElement('div');
+            item.className = 'online-user-item';
+            item.innerHTML = `
+                <div class="online-user-info">
+                    <span class="online-user-name">${this.escapeHtml(username)} ${username === this.username ? '(You)' : ''}${username === chat.owner ? ' <span class="role-badge admin">Owner</span>' : ''}</span>
+                </div>
+                ${isOwner && username !== this.username ? '<div class="moderation-controls"><button class="moderation-btn danger group-remove-btn">Remove</button></div>' : ''}
+            `;
+            const removeBtn = item.querySelector('.group-remove-btn');
+            if (removeBtn) {
+                removeBtn.addEventListener('click', () => {
+                    if (this.socket) this.socket.emit('remove group member', { chatId: chat.chatId, username });
+                });
+            }
+            list.appendChild(item);
+        });
+    }
+
+    // "Away", or "Busy: 🍕 lunch" when there is a custom status line
+    describeStatus(status, custom) {
+        const label = { online: 'Online', away: 'Away', busy: 'Busy', invisible: 'Invisible' }[status] || 'Online';
+        if (!custom) return label;
+        return `${label}: ${[custom.emoji, custom.text].filter(Boolean).join(' ')}`;
+    }
+
+    createPresenceDotHtml(username) {
+        const presence = this.presence.get(username);
+        const status = presence ? presence.status : 'offline';
+        const title = presence ? this.describeStatus(presence.status, presence.customStatus) : 'Offline';
+        return `<span class="presence-dot ${status}" data-presence-user="${this.escapeHtml(username)}" title="${this.escapeHtml(title)}"></span>`;
+    }
+
+    // Messages stay on screen while people come and go, so their dots are refreshed in place
+    updatePresenceDots() {
+        this.getAllMessageContainers().forEach(container => {
+            container.querySelectorAll('.presence-dot').forEach(dot => {
+                const username = dot.getAttribute('data-presence-user');
+                dot.outerHTML = this.createPresenceDotHtml(username);
+            });
+        });
+    }
+
+    updatePresenceButton() {
+        if (!this.presenceBtn) return;
+        const status = this.myPresence.status === 'online' && this.idle ? 'away' : this.myPresence.status;
+        this.presenceBtn.style.display = '';
+        document.getElementById('presenceDot').className = `online-indicator ${status}`;
+        document.getElementById('presenceLabel').textContent = this.describeStatus(status, this.myPresence.custom);
+    }
+
+    showSettingsModal() {
+        if (!this.settingsModal) return;
+        this.renderSettingsAvatars();
+        this.renderBlockedList();
+        const profile = this.profile || {};
+        document.getElementById('profileDisplayName').value = profile.displayName || '';
+        document.getElementById('profilePronouns').value = profile.pronouns || '';
+        document.getElementById('profileBio').value = profile.bio || '';
+        this.profileForm.querySelectorAll('.profile-link-input').forEach((input, i) => {
+            input.value = (profile.links || [])[i] || '';
+        });
+        this.changePasswordForm.reset();
+        this.deleteAccountForm.reset();
+        Object.values(this.settingsMessages).forEach(id => this.showAuthMessage(id, '', 'neutral'));
+        this.settingsModal.classList.add('show');
+    }
+
+    hideSettingsModal() {
+        if (this.settingsModal) this.settingsModal.classList.remove('show');
+    }
+
+    renderSettingsAvatars() {
+        const grid = document.getElementById('settingsAvatarGrid');
+        if (!grid) return;
+        grid.innerHTML = '';
+        this.avatars.forEach(emoji => {
+            const el = document.createElement('div');
+            el.className = `avatar-option${emoji === this.avatar ? ' selected' : ''}`;
+            el.textContent = emoji;
+            el.onclick = () => {
+                if (emoji !== this.avatar && this.socket && this.isConnected) this.socket.emit('change avatar', { avatar: emoji });
+            };
+            grid.appendChild(el);
+        });
+    }
+
+    isBlocked(username) {
+        return this.blockedUsers.has(username);
+    }
+
+    // The blocked user is never told
+    setBlocked(username, blocked) {
+        if (!this.socket || !this.isConnected) return;
+        if (blocked && !confirm(`Block ${username}? You won't see their messages, and they can't message or invite you.`)) return;
+        this.socket.emit(blocked ? 'block user' : 'unblock user', { username });
+    }
+
+    // Re-applies the block list to every message, stashed ones included
+    applyBlockList() {
+        this.getAllMessageContainers().forEach(container => {
+            container.querySelectorAll('.message.other-message').forEach(el => {
+                el.classList.toggle('blocked-message', this.isBlocked(el.getAttribute('data-username')));
+            });
+        });
+        for (const messageId of this.messageReactions.keys()) this.renderMessageReactions(messageId);
+        this.renderBlockedList();
+    }
+
+    renderBlockedList() {
+        const list = document.getElementById('blockedUsersList');
+        if (!list) return;
+        list.innerHTML = '';
+        if (this.blockedUsers.size === 0) {
+            list.innerHTML = '<div class="settings-hint">You haven\'t blocked anyone</div>';
+            return;
+        }
+        Array.from(this.blockedUsers).sort().forEach(username => {
+            const row = document.createElement('div');
+            row.className = 'blocked-user-item';
+            row.innerHTML = `<span>${this.escapeHtml(username)}</span>`;
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'search-submit';
+            btn.textContent = 'Unblock';
+            btn.addEventListener('click', () => this.setBlocked(username, false));
+            row.appendChild(btn);
+            list.appendChild(row);
+        });
+    }
+
+    // Names that aren't valid usernames (like "Deleted user") have no profile
+    showProfile(username) {
+        if (!/^\w+$/.test(username || '') || !this.socket || !this.isConnected) return;
+        this.socket.emit('get profile', { username });
+    }
+
+    hideProfileModal() {
+        if (this.profileModal) this.profileModal.classList.remove('show');
+    }
+
+    // Clicking the author's name opens their profile card
+    bindProfileLink(messageDiv) {
+        const nameEl = messageDiv.querySelector('.message-username');
+        if (!nameEl) return;
+        nameEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showProfile(messageDiv.getAttribute('data-username'));
+        });
+    }
+
+    describeLastSeen(timestamp) {
+        if (!timestamp) return 'Offline';
+        const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+        if (minutes < 1) return 'Last seen just now';
+        if (minutes < 60) return `Last seen ${minutes} min ago`;
+        if (minutes < 24 * 60) return `Last seen ${Math.floor(minutes / 60)} h ago`;
+        return `Last seen ${new Date(timestamp).toLocaleDateString()}`;
+    }
+
+    renderProfileCard(profile) {
+        const card = document.getElementById('profileCard');
+        if (!card || !this.profileModal) return;
+        const isMe = profile.username === this.username;
+        const role = profile.role || 'member';
+        const status = profile.online
+            ? `<span class="online-indicator ${this.escapeHtml(profile.status || 'online')}"></span> ${this.escapeHtml(this.describeStatus(profile.status, profile.customStatus))}`
+            : this.escapeHtml(this.describeLastSeen(profile.lastSeen));
+        const links = (profile.links || []).map(url => {
+            const href = this.escapeHtml(url);
+            return `<a href="${href}" target="_blank" rel="noopener noreferrer">${href}</a>`;
+        }).join('');
+
+        card.innerHTML = `
+            <div class="profile-card-header">
+                <div class="profile-avatar">${this.escapeHtml(profile.avatar || '😊')}</div>
+                <div class="profile-names">
+                    <div class="profile-display-name">${this.escapeHtml(profile.displayName || profile.username)}${role !== 'member' ? ` <span class="role-badge ${role}">${role === 'admin' ? 'Admin' : 'Mod'}</span>` : ''}</div>
+                    <div class="profile-username">@${this.escapeHtml(profile.username)}${profile.pronouns ? ` · ${this.escapeHtml(profile.pronouns)}` : ''}</div>
+                </div>
+            </div>
+            <div class="profile-status">${status}</div>
+            ${profile.bio ? `<div class="profile-bio">${this.escapeHtml(profile.bio)}</div>` : ''}
+            ${links ? `<div class="profile-links">${links}</div>` : ''}
+            ${profile.joined ? `<div class="profile-joined">Joined ${this.escapeHtml(new Date(profile.joined).toLocaleDateString())}</div>` : ''}
+            <div class="profile-actions">
+                ${isMe ? '' : `<button type="button" class="group-leave-btn" id="profileBlockBtn">${this.isBlocked(profile.username) ? 'Unblock' : 'Block'}</button>`}
+                <button type="button" class="search-submit" id="profileActionBtn">${isMe ? 'Edit profile' : 'Message'}</button>
+            </div>
+        `;
+        document.getElementById('profileActionBtn').addEventListener('click', () => {
+            this.hideProfileModal();
+            this.hideOnlineUsersModal();
+            if (isMe) this.showSettingsModal();
+            else this.inviteToPrivateChat(profile.username);
+        });
+        const blockBtn = document.getElementById('profileBlockBtn');
+        if (blockBtn) {
+            blockBtn.addEventListener('click', () => {
+                this.setBlocked(profile.username, !this.isBlocked(profile.username));
+                this.hideProfileModal();
+            });
+        }
+        this.profileModal.classList.add('show');
+    }
+
+    // The room on screen plus every stashed room and private chat
+    getAllMessageContainers() {
+        return [this.messagesContainer, ...Array.from(this.rooms.values(), r => r.stash), ...Array.from(this.privateChats.values(), c => c.stash)];
+    }
+
+    getMessageElementsBy(username) {
+        const selector = `[data-username="${CSS.escape(username)}"]`;
+        return this.getAllMessageContainers().flatMap(container => Array.from(container.querySelectorAll(selector)));
+    }
+
+    applyAvatarChange(username, avatar) {
+        if (username === this.username) {
+            this.avatar = avatar;
+            if (this.settingsModal && this.settingsModal.classList.contains('show')) this.renderSettingsAvatars();
+        }
+        this.getMessageElementsBy(username).forEach(el => {
+            const avatarEl = el.querySelector('.user-avatar');
+            if (avatarEl) avatarEl.textContent = avatar;
+        });
+    }
+
+    // Messages from a deleted account stay, credited to the server's placeholder
+    applyUserDeleted(username, replacement) {
+        this.getMessageElementsBy(username).forEach(el => {
+            el.setAttribute('data-username', replacement.username);
+            const avatarEl = el.querySelector('.user-avatar');
+            if (avatarEl) avatarEl.textContent = replacement.avatar;
+            const nameEl = el.querySelector('.message-username');
+            if (nameEl) nameEl.textContent = replacement.username;
+            const dot = el.querySelector('.presence-dot');
+            if (dot) dot.remove();
+        });
+        this.getAllMessageContainers().forEach(container => {
+            container.querySelectorAll('.reply-context-header').forEach(header => {
+                if (header.textContent === username) header.textContent = replacement.username;
+            });
+        });
+        for (const [messageId, reactions] of this.messageReactions.entries()) {
+            for (const [reaction, users] of Object.entries(reactions)) {
+                if (users.includes(username)) this.updateMessageReactions(messageId, reaction, username, 'remove');
+            }
+        }
+        this.presence.delete(username);
+    }
+
+    showStatusModal() {
+        if (!this.statusModal) return;
+        const custom = this.myPresence.custom || {};
+        document.getElementById('statusSelect').value = this.myPresence.status;
+        document.getElementById('statusEmoji').value = custom.emoji || '';
+        document.getElementById('statusText').value = custom.text || '';
+        document.getElementById('statusExpiry').value = '';
+        this.statusModal.classList.add('show');
+    }
+
+    hideStatusModal() {
+        if (this.statusModal) this.statusModal.classList.remove('show');
+    }
+
+    setStatus(status) {
+        if (this.socket && this.isConnected) this.socket.emit('set status', status);
+        this.hideStatusModal();
+    }
+
+    // Any input counts as activity; after idleTimeoutMs without any we report idle
+    resetIdleTimer() {
+        if (!this.username || !this.socket) return;
+        if (this.idle) {
+            this.idle = false;
+            this.socket.emit('set idle', { idle: false });
+            this.updatePresenceButton();
+        }
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            this.idle = true;
+            if (this.isConnected) this.socket.emit('set idle', { idle: true });
+            this.updatePresenceButton();
+        }, this.idleTimeoutMs);
+    }
+
     updateConnectionStatus(message) {
         debugLog(`🔗 Connection status: ${message}`);
         const greenDot = `<svg width="10" height="10" viewBox="0 0 10 10" style="vertical-align: 0; margin-left: 4px;"><circle cx="5" cy="5" r="5" fill="#48bb78"/></svg>`;
@@ -1139,10 +3294,228 @@ class RealTimeChatApp {
                     ${count} online`;
     }
 
+    isStaff() {
+        return this.roleRanks[this.role] >= this.roleRanks.moderator;
+    }
+
+    // Mirrors the server rule: staff can only act on users ranked below them
+    canModerate(targetRole) {
+        return this.roleRanks[this.role] > (this.roleRanks[targetRole] || 0);
+    }
+
+    createModerationControls(username, role) {
+        const controls = document.createElement('div');
+        controls.className = 'moderation-controls';
+
+        const actions = [
+            { label: 'Kick', run: () => this.socket.emit('kick user', { username }) },
+            {
+                label: 'Mute', run: () => {
+                    const minutes = prompt(`Mute ${username} for how many minutes?`, '10');
+                    if (minutes) this.socket.emit('mute user', { username, minutes: Number(minutes) });
+                }
+            },
+            {
+                label: 'Ban', danger: true, run: () => {
+                    const reason = prompt(`Ban ${username}? Optional reason:`, '');
+                    if (reason !== null) this.socket.emit('ban user', { username, reason });
+                }
+            }
+        ];
+        if (this.role === 'admin') {
+            const nextRole = role === 'moderator' ? 'member' : 'moderator';
+            actions.push({
+                label: nextRole === 'moderator' ? 'Make mod' : 'Remove mod',
+                run: () => this.socket.emit('set role', { username, role: nextRole })
+            });
+        }
+
+        actions.forEach(action => {
+            const btn = document.createElement('button');
+            btn.className = `moderation-btn${action.danger ? ' danger' : ''}`;
+            btn.textContent = action.label;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.socket) action.run();
+            });
+            controls.appendChild(btn);
+        });
+        return controls;
+    }
+
+    renderBanList(bans) {
+        const section = document.getElementById('bannedUsersSection');
+        const list = document.getElementById('bannedUsersList');
+        if (!section || !list) return;
+
+        section.style.display = this.isStaff() ? '' : 'none';
+        list.innerHTML = '';
+        if (!bans || bans.length === 0) {
+            list.innerHTML = '<div class="no-users-message">No banned users</div>';
+            return;
+        }
+
+        bans.forEach(ban => {
+            const item = document.createElement('div');
+            item.className = 'online-user-item banned-user-item';
+            item.innerHTML = `
+                <div class="online-user-info">
+                    <span class="online-user-name">${this.escapeHtml(ban.username)}</span>
+                    <span class="online-user-status">Banned by ${this.escapeHtml(ban.by)}${ban.reason ? ` • ${this.escapeHtml(ban.reason)}` : ''}</span>
+                </div>
+                <button class="moderation-btn">Unban</button>
+            `;
+            item.querySelector('.moderation-btn').addEventListener('click', () => {
+                if (this.socket) this.socket.emit('unban user', { username: ban.username });
+            });
+            list.appendChild(item);
+        });
+    }
+
+    createReportButtonHtml() {
+        return `
+                        <button class="report-btn" title="Report">
+                            <svg width="15" height="15" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M14.4 6L14 4H5v17h2v-7h5.6l.4 2h7V6z"/>
+                            </svg>
+                        </button>`;
+    }
+
+    showReportModal(messageId, chatId = null) {
+        if (!this.reportModal) return;
+        const element = this.findMessageElement(messageId);
+        const author = element ? element.getAttribute('data-username') : '';
+        const text = this.messageTexts.get(String(messageId)) ||
+            (element && element.querySelector('.message-text') ? element.querySelector('.message-text').textContent : '');
+        document.getElementById('reportPreview').innerHTML = `
+            <div class="report-snapshot-author">${this.escapeHtml(author)}</div>
+            <div class="report-snapshot-text">${this.escapeHtml(ChatMarkdown.toPlainText(text))}</div>
+        `;
+        this.reportTarget = { messageId: String(messageId), ...(chatId ? { chatId } : {}) };
+        this.reportForm.reset();
+        this.showAuthMessage('reportMsg', '', 'neutral');
+        this.reportModal.classList.add('show');
+    }
+
+    hideReportModal() {
+        if (this.reportModal) this.reportModal.classList.remove('show');
+        this.reportTarget = null;
+    }
+
+    updateReportsButton() {
+        if (!this.reportsBtn) return;
+        this.reportsBtn.style.display = this.isStaff() ? '' : 'none';
+        const count = document.getElementById('reportsCount');
+        if (count) count.textContent = this.openReports > 0 ? String(this.openReports) : '';
+        this.reportsBtn.classList.toggle('has-reports', this.openReports > 0);
+    }
+
+    showReportsModal() {
+        if (!this.reportsModal || !this.isStaff()) return;
+        if (this.socket && this.isConnected) this.socket.emit('list reports');
+        this.reportsModal.classList.add('show');
+    }
+
+    hideReportsModal() {
+        if (this.reportsModal) this.reportsModal.classList.remove('show');
+    }
+
+    // Open reports are grouped by message; acting on one closes them all
+    renderReportQueue(data) {
+        const queue = document.getElementById('reportQueue');
+        const log = document.getElementById('reportLog');
+        if (!queue || !log) return;
+        const formatTime = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        const reasons = { spam: 'Spam', harassment: 'Harassment', hate: 'Hate speech', inappropriate: 'Inappropriate', other: 'Other' };
+
+        queue.innerHTML = '';
+        if (data.reports.length === 0) {
+            queue.innerHTML = '<div class="no-users-message">No open reports</div>';
+        }
+        data.reports.forEach(item => {
+            const { snapshot } = item;
+            const where = item.room ? `#${item.room}` : (item.chatName || 'a private chat');
+            const text = snapshot.message ? ChatMarkdown.toPlainText(snapshot.message) : '';
+            const div = document.createElement('div');
+            div.className = 'report-item';
+            div.innerHTML = `
+                <div class="report-item-header">
+                    <span class="user-avatar">${this.escapeHtml(snapshot.avatar || '😊')}</span>
+                    <span class="report-snapshot-author">${this.escapeHtml(snapshot.username)}</span>
+                    <span class="settings-hint">in ${this.escapeHtml(where)} • ${this.escapeHtml(formatTime(snapshot.timestamp))}</span>
+                </div>
+                <div class="report-snapshot">
+                    <div class="report-snapshot-text">${this.escapeHtml(text)}${snapshot.attachment ? ` 📎 ${this.escapeHtml(snapshot.attachment.name || 'attachment')}` : ''}</div>
+                    ${item.available ? '' : '<div class="settings-hint">This message has since expired or been deleted</div>'}
+                </div>
+                <div class="report-reasons">
+                    ${item.reports.map(r => `
+                        <div class="report-reason"><strong>${this.escapeHtml(r.reporter)}</strong>: ${this.escapeHtml(reasons[r.reason] || r.reason)}${r.details ? ` — ${this.escapeHtml(r.details)}` : ''}</div>
+                    `).join('')}
+                </div>
+            `;
+
+            const reportId = item.reports[0].id;
+            const resolve = (action, extra = {}) => this.socket.emit('resolve report', { reportId, action, ...extra });
+            const actions = [
+                { label: 'Dismiss', run: () => resolve('dismiss') },
+                ...(item.available ? [{ label: 'Delete message', run: () => { if (confirm('Delete this message?')) resolve('delete'); } }] : []),
+                {
+                    label: 'Mute', run: () => {
+                        const minutes = prompt(`Mute ${snapshot.username} for how many minutes?`, '10');
+                        if (minutes) resolve('mute', { minutes: Number(minutes) });
+                    }
+                },
+                {
+                    label: 'Ban', danger: true, run: () => {
+                        const note = prompt(`Ban ${snapshot.username}? Optional reason:`, '');
+                        if (note !== null) resolve('ban', { note });
+                    }
+                }
+            ];
+            const controls = document.createElement('div');
+            controls.className = 'moderation-controls';
+            actions.forEach(action => {
+                const btn = document.createElement('button');
+                btn.className = `moderation-btn${action.danger ? ' danger' : ''}`;
+                btn.textContent = action.label;
+                btn.addEventListener('click', () => {
+                    if (this.socket) action.run();
+                });
+                controls.appendChild(btn);
+            });
+            div.appendChild(controls);
+            queue.appendChild(div);
+        });
+
+        log.innerHTML = '';
+        if (data.log.length === 0) {
+            log.innerHTML = '<div class="no-users-message">Nothing yet</div>';
+        }
+        const describe = {
+            dismiss: (e) => `dismissed reports on ${e.author}'s message`,
+            delete: (e) => `deleted ${e.author}'s message`,
+            mute: (e) => `muted ${e.author} for ${e.minutes} min`,
+            ban: (e) => `banned ${e.author}`
+        };
+        data.log.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'report-log-item';
+            const summary = describe[entry.action] ? describe[entry.action](entry) : entry.action;
+            row.innerHTML = `
+                <span><strong>${this.escapeHtml(entry.by)}</strong> ${this.escapeHtml(summary)}${entry.note ? ` • ${this.escapeHtml(entry.note)}` : ''}</span>
+                <span class="settings-hint">${this.escapeHtml(formatTime(entry.at))}</span>
+            `;
+            log.appendChild(row);
+        });
+    }
+
     // Updated to support avatar
     updateOnlineUsersList(users) {
         const listContainer = document.getElementById('onlineUsersList');
         if (!listContainer) return;
+        this.onlineUserList = users || [];
+        this.renderDmList();
 
         listContainer.innerHTML = '';
 
@@ -1156,25 +3529,26 @@ class RealTimeChatApp {
             const avatar = user.avatar || '😊';
             const isMe = username === this.username;
 
+            const role = user.role || 'member';
+
             const div = document.createElement('div');
             div.className = 'online-user-item';
             div.innerHTML = `
-                <div class="online-user-avatar">${avatar}</div>
+                <div class="online-user-avatar">${this.escapeHtml(avatar)}</div>
                 <div class="online-user-info">
-                    <span class="online-user-name">${this.escapeHtml(username)} ${isMe ? '(You)' : ''}</span>
+                    <span class="online-user-name">${this.escapeHtml(username)} ${isMe ? '(You)' : ''}${role !== 'member' ? ` <span class="role-badge ${role}">${role === 'admin' ? 'Admin' : 'Mod'}</span>` : ''}</span>
                     <span class="online-user-status">
-                        <span class="online-indicator"></span> Online
+                        <span class="online-indicator ${this.escapeHtml(user.status || 'online')}"></span> ${this.escapeHtml(this.describeStatus(user.status, user.customStatus))}
                     </span>
                 </div>
             `;
 
-            // Add click to invite to private chat (if not me)
-            if (!isMe) {
-                div.style.cursor = 'pointer';
-                div.addEventListener('click', () => {
-                    this.inviteToPrivateChat(username);
-                    this.hideOnlineUsersModal();
-                });
+            // Clicking a user opens their profile card, which can start a private chat
+            div.style.cursor = 'pointer';
+            div.addEventListener('click', () => this.showProfile(username));
+
+            if (!isMe && this.isStaff() && this.canModerate(role)) {
+                div.appendChild(this.createModerationControls(username, role));
             }
 
             listContainer.appendChild(div);
@@ -1226,6 +3600,17 @@ class RealTimeChatApp {
         debugLog(`👥 Populating online users list with ${this.onlineUsers.size} users`);
         debugLog(`👥 Current online users: ${Array.from(this.onlineUsers).join(', ')}`);
 
+        // Moderation needs the staff section refreshed whenever the modal opens
+        const bannedSection = document.getElementById('bannedUsersSection');
+        if (bannedSection) bannedSection.style.display = this.isStaff() ? '' : 'none';
+        if (this.isStaff() && this.isConnected && this.socket) this.socket.emit('list bans');
+
+        // Prefer the full list from the server (avatars, roles)
+        if (this.onlineUserList.length > 0) {
+            this.updateOnlineUsersList(this.onlineUserList);
+            return;
+        }
+
         // Clear existing list
         usersListElement.innerHTML = '';
 
@@ -1286,10 +3671,9 @@ class RealTimeChatApp {
         this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
     }
 
+    // Escapes quotes too, so the result is safe inside attribute values
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return ChatMarkdown.escapeHtml(text === null || text === undefined ? '' : text);
     }
 
     setupMobileKeyboardHandling() {
@@ -0,0 +1,80 @@
+// Slash command registry. Each command declares its arguments, the minimum
+// role allowed to run it and a line of help text; the server supplies the
+// handlers and the context they run in.
+
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+class CommandRegistry {
+  constructor(options = {}) {
+    this.roleRanks = options.roleRanks || { member: 0 };
+    this.commands = new Map();
+    this.aliases = new Map();
+  }
+
+  // spec: { description, args: [{ name, required, rest }], minRole, aliases, handler }
+  register(name, spec) {
+    const command = { name, args: [], minRole: 'member', aliases: [], ...spec };
+    command.usage = `/${name}` + command.args
+      .map(arg => arg.required ? ` <${arg.name}>` : ` [${arg.name}]`)
+      .join('');
+    this.commands.set(name, command);
+    for (const alias of command.aliases) this.aliases.set(alias, name);
+    return command;
+  }
+
+  get(name) {
+    name = String(name || '').toLowerCase();
+    return this.commands.get(name) || this.commands.get(this.aliases.get(name)) || null;
+  }
+
+  isAllowed(command, role) {
+    return (this.roleRanks[role] || 0) >= (this.roleRanks[command.minRole] || 0);
+  }
+
+  // Commands the given role may run, for help and client autocomplete
+  list(role) {
+    return Array.from(this.commands.values())
+      .filter(command => this.isAllowed(command, role))
+      .map(({ name, usage, description, aliases }) => ({ name, usage, description, aliases }));
+  }
+
+  // Splits "/name a b rest of text" into the command and its named arguments.
+  // The last argument may be marked rest to take the remainder of the line.
+  parse(text) {
+    const match = COMMAND_PATTERN.exec(String(text || '').trim());
+    if (!match) return { error: 'Commands start with / followed by a name' };
+
+    const command = this.get(match[1]);
+    if (!command) return { error: `Unknown command /${match[1]}. Type /help for a list of commands.` };
+
+    let remaining = (match[2] || '').trim();
+    const args = {};
+    for (const arg of command.args) {
+      if (!remaining) break;
+      if (arg.rest) {
+        args[arg.name] = remaining;
+        remaining = '';
+        break;
+      }
+      const [value, ...others] = remaining.split(/\s+/);
+      args[arg.name] = value;
+      remaining = others.join(' ');
+    }
+
+    const missing = command.args.find(arg => arg.required && !args[arg.name]);
+    if (missing || remaining) return { command, error: `Usage: ${command.usage}` };
+    return { command, args };
+  }
+
+  // Returns an error message, or the handler's reply (if any)
+  execute(text, role, context) {
+    const { command, args, error } = this.parse(text);
+    if (error) return { ok: false, message: error };
+    if (!this.isAllowed(command, role)) {
+      return { ok: false, message: `/${command.name} requires the ${command.minRole} role` };
+    }
+    return { ok: true, message: command.handler(args, context) || null };
+  }
+}
+
+module.exports = { CommandRegistry };
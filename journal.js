@@ -0,0 +1,67 @@
+const fs = require('fs');
+
+// Append-only JSONL journal shared by the file-backed stores. A store appends
+// one entry per change, replays the entries through its own methods on
+// startup, then compacts the file down to the entries it still needs. Without
+// a file path every call is a no-op, which keeps a store in memory only.
+class Journal {
+  constructor(filePath, name) {
+    this.filePath = filePath;
+    this.name = name; // used in log messages
+    this.replaying = false;
+  }
+
+  // Every entry in the file, skipping lines that don't parse
+  read() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        console.error(`Skipping corrupt ${this.name} entry:`, err.message);
+      }
+    }
+    return entries;
+  }
+
+  // Feeds entries to apply(); whatever it appends meanwhile is already on disk
+  replay(entries, apply) {
+    this.replaying = true;
+    try {
+      for (const entry of entries) {
+        try {
+          apply(entry);
+        } catch (err) {
+          console.error(`Skipping corrupt ${this.name} entry:`, err.message);
+        }
+      }
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  // Replaces the file with just these entries
+  compact(entries) {
+    if (!this.filePath) return;
+    try {
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, entries.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (err) {
+      console.error(`Error compacting ${this.name}:`, err);
+    }
+  }
+
+  append(entry) {
+    if (this.replaying || !this.filePath) return;
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error(`Error writing ${this.name}:`, err);
+    }
+  }
+}
+
+module.exports = { Journal };
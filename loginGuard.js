@@ -0,0 +1,138 @@
+const { Journal } = require('./journal');
+
+// Brute-force protection for logins. Failed attempts are counted per username
+// and per client IP. After a few free tries every further failure doubles the
+// wait before the next attempt, and reaching the threshold locks the key out
+// for a while. Every failure is appended to a JSONL audit trail, which is
+// replayed on startup so a restart does not hand out fresh attempts.
+
+const DEFAULT_OPTIONS = {
+  freeAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  lockoutThreshold: 10, // failures per username; an IP gets ipMultiplier times as many
+  lockoutMs: 15 * 60 * 1000,
+  resetMs: 60 * 60 * 1000, // failures older than this are forgotten
+  ipMultiplier: 3,
+  retentionMs: 30 * 24 * 60 * 60 * 1000 // how long audit entries are kept
+};
+
+class LoginGuard {
+  constructor(filePath, options = {}) {
+    this.journal = new Journal(filePath, 'login audit trail');
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.attempts = new Map(); // "user:name" or "ip:addr" -> { failures, last, retryAt, lockedUntil }
+    this.pending = new Map(); // same keys -> password checks still in progress
+    this.load();
+  }
+
+  keys(username, ip) {
+    const keys = [];
+    if (username) keys.push({ id: `user:${username.toLowerCase()}`, scale: 1 });
+    if (ip) keys.push({ id: `ip:${ip}`, scale: this.options.ipMultiplier });
+    return keys;
+  }
+
+  state(id, now) {
+    const state = this.attempts.get(id);
+    if (state && now - state.last > this.options.resetMs && now >= state.lockedUntil) {
+      this.attempts.delete(id);
+      return null;
+    }
+    return state || null;
+  }
+
+  // Returns { ok: true } or { ok: false, locked, retryAt } with the time (ms)
+  // the next attempt is allowed. Checked before the password is looked at.
+  // Checks still in progress count as failures here: once they could use up
+  // the free attempts, further tries wait for them to finish, so parallel
+  // guesses can't slip past the backoff.
+  check(username, ip, now = Date.now()) {
+    let blocked = null;
+    const block = (retryAt, locked) => {
+      if (!blocked || retryAt > blocked.retryAt) blocked = { ok: false, locked, retryAt };
+    };
+    for (const { id, scale } of this.keys(username, ip)) {
+      const state = this.state(id, now);
+      const pending = this.pending.get(id) || 0;
+      if (pending > 0 && (state ? state.failures : 0) + pending >= this.options.freeAttempts * scale) {
+        block(now + this.options.baseDelayMs, false);
+      }
+      if (!state) continue;
+      const retryAt = Math.max(state.retryAt, state.lockedUntil);
+      if (retryAt > now) block(retryAt, state.lockedUntil > now);
+    }
+    return blocked || { ok: true };
+  }
+
+  // Brackets a password check; call finish() once it is known whether it
+  // passed, before recording the failure or success
+  begin(username, ip) {
+    for (const { id } of this.keys(username, ip)) this.pending.set(id, (this.pending.get(id) || 0) + 1);
+  }
+
+  finish(username, ip) {
+    for (const { id } of this.keys(username, ip)) {
+      const count = (this.pending.get(id) || 0) - 1;
+      if (count > 0) this.pending.set(id, count);
+      else this.pending.delete(id);
+    }
+  }
+
+  // Counts a failed attempt against the username and IP and records it in
+  // the audit trail. Returns the same shape as check() for the next attempt.
+  recordFailure(username, ip, reason, now = Date.now()) {
+    const { freeAttempts, baseDelayMs, maxDelayMs, lockoutThreshold, lockoutMs } = this.options;
+    let lockedOut = false;
+    for (const { id, scale } of this.keys(username, ip)) {
+      const state = this.state(id, now) || { failures: 0, last: 0, retryAt: 0, lockedUntil: 0 };
+      state.failures++;
+      state.last = now;
+      if (state.failures >= lockoutThreshold * scale) {
+        state.lockedUntil = now + lockoutMs;
+        state.failures = 0; // a fresh set of tries once the lockout ends
+        lockedOut = true;
+      } else if (state.failures > freeAttempts * scale) {
+        const extra = state.failures - freeAttempts * scale - 1;
+        state.retryAt = now + Math.min(maxDelayMs, baseDelayMs * Math.pow(2, extra));
+      }
+      this.attempts.set(id, state);
+    }
+    this.record({ type: 'failure', username, ip, reason, at: new Date(now).toISOString(), ...(lockedOut ? { lockout: true } : {}) });
+    return this.check(username, ip, now);
+  }
+
+  // A correct password clears the username's failures. The IP keeps its count
+  // so one known account cannot be used to reset guessing at others.
+  recordSuccess(username, ip, now = Date.now()) {
+    const [user] = this.keys(username, null);
+    if (!this.state(user.id, now)) return;
+    this.attempts.delete(user.id);
+    this.record({ type: 'success', username, ip, at: new Date(now).toISOString() });
+  }
+
+  // Forget states that no longer hold anything back
+  cleanup(now = Date.now()) {
+    for (const id of Array.from(this.attempts.keys())) this.state(id, now);
+  }
+
+  // Replays the audit trail to rebuild attempt counts, then drops entries
+  // past the retention period
+  load() {
+    const now = Date.now();
+    const kept = this.journal.read().filter(e => now - Date.parse(e.at) <= this.options.retentionMs);
+    this.journal.replay(kept, entry => {
+      const at = Date.parse(entry.at);
+      if (entry.type === 'failure') this.recordFailure(entry.username, entry.ip, entry.reason, at);
+      else if (entry.type === 'success') this.recordSuccess(entry.username, entry.ip, at);
+    });
+    this.cleanup(now);
+    this.journal.compact(kept);
+  }
+
+  record(entry) {
+    this.journal.append(entry);
+  }
+}
+
+module.exports = { LoginGuard, DEFAULT_OPTIONS };
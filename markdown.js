@@ -0,0 +1,129 @@
+// Safe Markdown subset shared by the server and the browser client:
+// **bold**, *italic* / _italic_, ~~strike~~, `inline code`, ```fenced code```,
+// > quotes, auto-linked http(s) URLs and @mentions. All text is escaped
+// before any tags are added, so raw HTML in a message always shows up as text.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChatMarkdown = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FENCE_PATTERN = /```[^\S\n]*[\w+-]*[^\S\n]*\n?([\s\S]*?)```/g;
+  const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+  const TRAILING_PUNCTUATION = /[.,!?:;*_~)\]}]+$/;
+  const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+  const MENTION_PATTERN = /(^|[^\w@])@(\w{1,20})\b/g;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function renderEmphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)([^*]+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/~~(?=\S)([^~]+?)~~/g, '<del>$1</del>')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]+?)\*(?![\w*])/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+  }
+
+  // Code spans, links and mentions are swapped for placeholders first so
+  // emphasis markers inside them are left alone. Only names listed in
+  // options.mentions (the server-parsed ones) are highlighted.
+  function renderInline(text, options) {
+    const tokens = [];
+    const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let result = text
+      .replace(/`([^`\n]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+      .replace(URL_PATTERN, (match) => {
+        const trailing = (match.match(TRAILING_PUNCTUATION) || [''])[0];
+        const url = match.slice(0, match.length - trailing.length);
+        const href = escapeHtml(url);
+        return hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">${href}</a>`) + trailing;
+      });
+
+    const mentions = options.mentions || [];
+    if (mentions.length > 0) {
+      result = result.replace(MENTION_PATTERN, (match, lead, name) => {
+        if (!mentions.includes(name)) return match;
+        const className = name === options.currentUser ? 'mention mention-me' : 'mention';
+        return lead + hold(`<span class="${className}">@${escapeHtml(name)}</span>`);
+      });
+    }
+
+    result = renderEmphasis(escapeHtml(result));
+    return result.replace(PLACEHOLDER, (match, index) => tokens[Number(index)]);
+  }
+
+  // Lines starting with ">" become a quote; everything else keeps its line breaks
+  function renderLines(text, options) {
+    const blocks = [];
+    let quote = null;
+    for (const line of text.split('\n')) {
+      if (/^\s*>/.test(line)) {
+        if (!quote) blocks.push(quote = { quote: true, lines: [] });
+        quote.lines.push(renderInline(line.replace(/^\s*>\s?/, ''), options));
+      } else {
+        quote = null;
+        blocks.push({ quote: false, lines: [renderInline(line, options)] });
+      }
+    }
+
+    let html = '';
+    blocks.forEach((block, i) => {
+      if (block.quote) {
+        html += `<blockquote>${block.lines.join('<br>')}</blockquote>`;
+      } else {
+        if (i > 0 && !blocks[i - 1].quote) html += '<br>';
+        html += block.lines[0];
+      }
+    });
+    return html;
+  }
+
+  function render(text, options = {}) {
+    const source = String(text || '').replace(/\u0000/g, '');
+    let html = '';
+    let last = 0;
+    for (const match of source.matchAll(FENCE_PATTERN)) {
+      html += renderLines(source.slice(last, match.index).replace(/\n$/, ''), options);
+      html += `<pre><code>${escapeHtml(match[1].replace(/\n$/, ''))}</code></pre>`;
+      last = match.index + match[0].length;
+    }
+    // The line break right after a closing fence is part of the block
+    html += renderLines(last ? source.slice(last).replace(/^\n/, '') : source, options);
+    return html;
+  }
+
+  // Same text with the formatting markers removed, for previews and search
+  function toPlainText(text) {
+    return String(text || '')
+      .replace(FENCE_PATTERN, (match, code) => ` ${code} `)
+      .replace(/`([^`\n]+)`/g, '$1')
+      .replace(/^\s*>\s?/gm, '')
+      .replace(/\*\*(?=\S)([^*]+?)\*\*/g, '$1')
+      .replace(/~~(?=\S)([^~]+?)~~/g, '$1')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]+?)\*(?![\w*])/g, '$1$2')
+      .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Every distinct @name outside code, in order; the server keeps the registered ones
+  function extractMentions(text) {
+    const names = [];
+    const prose = String(text || '').replace(FENCE_PATTERN, ' ').replace(/`[^`\n]+`/g, ' ');
+    for (const match of prose.matchAll(MENTION_PATTERN)) {
+      if (!names.includes(match[2])) names.push(match[2]);
+    }
+    return names;
+  }
+
+  return { render, toPlainText, extractMentions, escapeHtml };
+});
@@ -0,0 +1,283 @@
+const { Journal } = require('./journal');
+
+// In-memory message store: rooms with their public history plus private chats.
+// Used as-is for tests and as the base of the file-backed store.
+class MemoryMessageStore {
+  constructor(options = {}) {
+    this.maxMessages = options.maxMessages || 200; // per room
+    this.maxPrivateMessages = options.maxPrivateMessages || 100;
+    this.defaultRoom = options.defaultRoom || 'general';
+    this.rooms = new Map(); // name -> { name, createdBy, created, ttlMs }
+    this.roomMessages = new Map(); // name -> messages
+    this.privateChats = new Map(); // chatId -> { id, participants: Set, messages, created, group, name, owner }
+    this.inboxes = new Map(); // username -> [{ chatId, messageId }] sent while they were offline
+  }
+
+  getRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  getRoom(name) {
+    return this.rooms.get(name) || null;
+  }
+
+  createRoom(room) {
+    this.rooms.set(room.name, room);
+    if (!this.roomMessages.has(room.name)) this.roomMessages.set(room.name, []);
+    this.record({ type: 'room', room });
+    return room;
+  }
+
+  getMessages(room = this.defaultRoom) {
+    return this.roomMessages.get(room) || [];
+  }
+
+  getAllMessages() {
+    return [].concat(...this.roomMessages.values());
+  }
+
+  findMessage(messageId) {
+    for (const messages of this.roomMessages.values()) {
+      const message = messages.find(m => String(m.id) === String(messageId));
+      if (message) return message;
+    }
+    return null;
+  }
+
+  addMessage(message) {
+    if (!message.room) message.room = this.defaultRoom;
+    if (!this.roomMessages.has(message.room)) this.roomMessages.set(message.room, []);
+
+    const messages = this.roomMessages.get(message.room);
+    messages.push(message);
+    if (messages.length > this.maxMessages) {
+      messages.splice(0, messages.length - this.maxMessages);
+    }
+    this.record({ type: 'message', message });
+  }
+
+  updateMessage(messageId, changes) {
+    const message = this.findMessage(messageId);
+    if (!message) return null;
+    Object.assign(message, changes);
+    this.record({ type: 'update', id: String(messageId), changes });
+    return message;
+  }
+
+  removeMessages(ids) {
+    const idSet = new Set(ids.map(String));
+    for (const [room, messages] of this.roomMessages.entries()) {
+      this.roomMessages.set(room, messages.filter(m => !idSet.has(String(m.id))));
+    }
+    this.record({ type: 'remove', ids: Array.from(idSet) });
+  }
+
+  forEachMessage(callback) {
+    for (const messages of this.roomMessages.values()) messages.forEach(callback);
+    for (const chat of this.privateChats.values()) chat.messages.forEach(callback);
+  }
+
+  // Applies changes (such as a new avatar) to everything a user has written
+  updateAuthor(username, changes) {
+    this.forEachMessage(m => {
+      if (m.username === username) Object.assign(m, changes);
+    });
+    this.record({ type: 'author update', username, changes });
+  }
+
+  // Credits everything a user wrote to replacement ({ username, avatar }) and
+  // takes their name off reactions, mentions, replies, rooms and receipts
+  anonymizeUser(username, replacement) {
+    const swap = names => names.map(u => (u === username ? replacement.username : u));
+    this.forEachMessage(m => {
+      if (m.username === username) Object.assign(m, replacement);
+      if (m.replyTo && m.replyTo.username === username) m.replyTo.username = replacement.username;
+      if (m.toUsername === username) m.toUsername = replacement.username;
+      if (m.mentions) m.mentions = m.mentions.filter(u => u !== username);
+      for (const [reaction, users] of Object.entries(m.reactions || {})) {
+        const kept = users.filter(u => u !== username);
+        if (kept.length > 0) m.reactions[reaction] = kept;
+        else delete m.reactions[reaction];
+      }
+      for (const key of ['recipients', 'deliveredTo', 'readBy', 'hiddenFrom']) {
+        if (m[key]) m[key] = swap(m[key]);
+      }
+    });
+    for (const room of this.rooms.values()) {
+      if (room.createdBy === username) room.createdBy = replacement.username;
+    }
+    this.inboxes.delete(username);
+    this.record({ type: 'anonymize', username, replacement });
+  }
+
+  getPrivateChat(chatId) {
+    return this.privateChats.get(chatId) || null;
+  }
+
+  getPrivateChatsFor(username) {
+    return Array.from(this.privateChats.values()).filter(chat => chat.participants.has(username));
+  }
+
+  // details: { group, name, owner } for group chats
+  createPrivateChat(chatId, participants, details = {}) {
+    const chat = {
+      id: chatId,
+      participants: new Set(participants),
+      messages: [],
+      created: new Date().toISOString(),
+      ...details
+    };
+    this.privateChats.set(chatId, chat);
+    this.record({ type: 'private chat', chat: { id: chatId, participants, created: chat.created, ...details } });
+    return chat;
+  }
+
+  // changes may include participants (an array), name and owner
+  updatePrivateChat(chatId, changes) {
+    const chat = this.privateChats.get(chatId);
+    if (!chat) return null;
+    const { participants, ...rest } = changes;
+    Object.assign(chat, rest);
+    if (participants) chat.participants = new Set(participants);
+    this.record({ type: 'private chat update', chatId, changes });
+    return chat;
+  }
+
+  addPrivateMessage(chatId, message) {
+    const chat = this.privateChats.get(chatId);
+    if (!chat) return false;
+    chat.messages.push(message);
+    if (chat.messages.length > this.maxPrivateMessages) {
+      chat.messages.splice(0, chat.messages.length - this.maxPrivateMessages);
+    }
+    this.record({ type: 'private message', chatId, message });
+    return true;
+  }
+
+  updatePrivateMessage(chatId, messageId, changes) {
+    const chat = this.privateChats.get(chatId);
+    const message = chat && chat.messages.find(m => String(m.id) === String(messageId));
+    if (!message) return null;
+    Object.assign(message, changes);
+    this.record({ type: 'private update', chatId, id: String(messageId), changes });
+    return message;
+  }
+
+  removePrivateMessages(chatId, ids) {
+    const chat = this.privateChats.get(chatId);
+    if (!chat) return;
+    const idSet = new Set(ids.map(String));
+    chat.messages = chat.messages.filter(m => !idSet.has(String(m.id)));
+    this.record({ type: 'private remove', chatId, ids: Array.from(idSet) });
+  }
+
+  getInbox(username) {
+    return this.inboxes.get(username) || [];
+  }
+
+  queueInbox(username, chatId, messageId) {
+    if (!this.inboxes.has(username)) this.inboxes.set(username, []);
+    this.inboxes.get(username).push({ chatId, messageId });
+    this.record({ type: 'inbox', username, chatId, messageId });
+  }
+
+  clearInbox(username) {
+    this.inboxes.delete(username);
+    this.record({ type: 'inbox cleared', username });
+  }
+
+  // Persistence hook; the memory store keeps nothing.
+  record(entry) { }
+}
+
+// File-backed store. Every change is appended to a JSONL journal which is
+// replayed on startup and compacted down to the surviving state.
+class FileMessageStore extends MemoryMessageStore {
+  constructor(filePath, options = {}) {
+    super(options);
+    this.journal = new Journal(filePath, 'message store');
+    this.load();
+  }
+
+  load() {
+    this.journal.replay(this.journal.read(), entry => this.apply(entry));
+    this.compact();
+  }
+
+  apply(entry) {
+    switch (entry.type) {
+      case 'room':
+        this.createRoom(entry.room);
+        break;
+      case 'message':
+        this.addMessage(entry.message);
+        break;
+      case 'update':
+        this.updateMessage(entry.id, entry.changes);
+        break;
+      case 'remove':
+        this.removeMessages(entry.ids);
+        break;
+      case 'private chat': {
+        const { id, participants, created, ...details } = entry.chat;
+        const chat = this.createPrivateChat(id, participants, details);
+        chat.created = created;
+        break;
+      }
+      case 'private chat update':
+        this.updatePrivateChat(entry.chatId, entry.changes);
+        break;
+      case 'private message':
+        this.addPrivateMessage(entry.chatId, entry.message);
+        break;
+      case 'private update':
+        this.updatePrivateMessage(entry.chatId, entry.id, entry.changes);
+        break;
+      case 'private remove':
+        this.removePrivateMessages(entry.chatId, entry.ids);
+        break;
+      case 'inbox':
+        this.queueInbox(entry.username, entry.chatId, entry.messageId);
+        break;
+      case 'inbox cleared':
+        this.clearInbox(entry.username);
+        break;
+      case 'author update':
+        this.updateAuthor(entry.username, entry.changes);
+        break;
+      case 'anonymize':
+        this.anonymizeUser(entry.username, entry.replacement);
+        break;
+    }
+  }
+
+  // Rewrite the journal so it only holds what is still in memory.
+  compact() {
+    const entries = this.getRooms().map(room => ({ type: 'room', room }));
+    for (const message of this.getAllMessages()) {
+      entries.push({ type: 'message', message });
+    }
+    for (const chat of this.privateChats.values()) {
+      const { id, participants, created, messages, ...details } = chat;
+      entries.push({
+        type: 'private chat',
+        chat: { id, participants: Array.from(participants), created, ...details }
+      });
+      for (const message of chat.messages) {
+        entries.push({ type: 'private message', chatId: chat.id, message });
+      }
+    }
+    for (const [username, inbox] of this.inboxes.entries()) {
+      for (const { chatId, messageId } of inbox) {
+        entries.push({ type: 'inbox', username, chatId, messageId });
+      }
+    }
+    this.journal.compact(entries);
+  }
+
+  record(entry) {
+    this.journal.append(entry);
+  }
+}
+
+module.exports = { MemoryMessageStore, FileMessageStore };
@@ -0,0 +1,95 @@
+// Token-bucket rate limiting. Each event has a budget of `limit` tokens that
+// refill evenly over `perSeconds`; every event takes one token from the
+// sender's user bucket and one from their IP bucket. IP buckets are larger
+// since several people can share an address. Events without a budget of
+// their own share the default one.
+
+const DEFAULT_BUDGETS = {
+  default: { limit: 120, perSeconds: 60 },
+  'login': { limit: 10, perSeconds: 60 },
+  'register': { limit: 5, perSeconds: 600 },
+  'resume': { limit: 20, perSeconds: 60 },
+  'change password': { limit: 5, perSeconds: 600 },
+  'change avatar': { limit: 10, perSeconds: 60 },
+  'delete account': { limit: 5, perSeconds: 600 },
+  'update profile': { limit: 10, perSeconds: 60 },
+  'chat message': { limit: 10, perSeconds: 60 },
+  'private message': { limit: 20, perSeconds: 60 },
+  'edit message': { limit: 20, perSeconds: 60 },
+  'delete message': { limit: 20, perSeconds: 60 },
+  'message reaction': { limit: 30, perSeconds: 60 },
+  'typing': { limit: 60, perSeconds: 60 },
+  'stop typing': { limit: 60, perSeconds: 60 },
+  'command': { limit: 10, perSeconds: 60 },
+  'search messages': { limit: 20, perSeconds: 60 },
+  'create room': { limit: 5, perSeconds: 600 },
+  'create group chat': { limit: 5, perSeconds: 600 },
+  'invite to private chat': { limit: 5, perSeconds: 60 },
+  'set status': { limit: 20, perSeconds: 60 },
+  'report message': { limit: 10, perSeconds: 600 },
+  'upload': { limit: 10, perSeconds: 60 }
+};
+
+// Parses "chat message=20/60, typing=30/10" into budgets; bad entries are skipped
+function parseBudgets(spec) {
+  const budgets = {};
+  for (const entry of String(spec || '').split(',')) {
+    const match = /^\s*([^=]+?)\s*=\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(entry);
+    if (!match || Number(match[2]) < 1 || Number(match[3]) < 1) continue;
+    budgets[match[1]] = { limit: Number(match[2]), perSeconds: Number(match[3]) };
+  }
+  return budgets;
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.budgets = { ...DEFAULT_BUDGETS, ...(options.budgets || {}) };
+    this.ipMultiplier = options.ipMultiplier || 3;
+    this.buckets = new Map(); // "event|key" -> { tokens, capacity, refillPerMs, updated }
+  }
+
+  budgetName(event) {
+    return Object.prototype.hasOwnProperty.call(this.budgets, event) ? event : 'default';
+  }
+
+  bucket(event, key, scale, now) {
+    const id = `${event}|${key}`;
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      const { limit, perSeconds } = this.budgets[event];
+      const capacity = limit * scale;
+      bucket = { tokens: capacity, capacity, refillPerMs: capacity / (perSeconds * 1000), updated: now };
+      this.buckets.set(id, bucket);
+    }
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updated) * bucket.refillPerMs);
+    bucket.updated = now;
+    return bucket;
+  }
+
+  // Takes a token for the event from the user's bucket (when signed in) and
+  // the IP's bucket, or from neither. Returns { ok: true } or
+  // { ok: false, retryAfter } with the seconds until it would be allowed.
+  take(event, { user, ip }, now = Date.now()) {
+    event = this.budgetName(event);
+    const buckets = [];
+    if (user) buckets.push(this.bucket(event, `user:${user}`, 1, now));
+    if (ip) buckets.push(this.bucket(event, `ip:${ip}`, this.ipMultiplier, now));
+
+    const empty = buckets.filter(b => b.tokens < 1);
+    if (empty.length > 0) {
+      const waitMs = Math.max(...empty.map(b => (1 - b.tokens) / b.refillPerMs));
+      return { ok: false, retryAfter: Math.ceil(waitMs / 1000) };
+    }
+    for (const b of buckets) b.tokens -= 1;
+    return { ok: true };
+  }
+
+  // Full buckets hold no state worth keeping
+  cleanup(now = Date.now()) {
+    for (const [id, bucket] of this.buckets.entries()) {
+      if (bucket.tokens + (now - bucket.updated) * bucket.refillPerMs >= bucket.capacity) this.buckets.delete(id);
+    }
+  }
+}
+
+module.exports = { RateLimiter, parseBudgets, DEFAULT_BUDGETS };
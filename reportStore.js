@@ -0,0 +1,102 @@
+const { Journal } = require('./journal');
+
+// Message reports and the moderation queue. Each report keeps a snapshot of
+// the message, since the original may expire or be deleted before anyone
+// looks at it. Reports live in a JSONL journal that is replayed and compacted
+// on startup; every resolution is also appended to an audit log that is
+// never rewritten.
+
+const DEFAULT_OPTIONS = {
+  retentionMs: 30 * 24 * 60 * 60 * 1000 // how long resolved reports stay in the journal
+};
+
+class ReportStore {
+  constructor(filePath, auditPath, options = {}) {
+    this.journal = new Journal(filePath, 'report journal');
+    this.auditLog = new Journal(auditPath, 'moderation audit log'); // only ever appended to
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reports = new Map(); // id -> { id, messageId, chatId, room, snapshot, reporter, reason, details, createdAt, resolution }
+    this.load();
+  }
+
+  add(report) {
+    this.reports.set(report.id, report);
+    this.record({ type: 'report', report });
+    return report;
+  }
+
+  get(id) {
+    return this.reports.get(id) || null;
+  }
+
+  // Unresolved reports, oldest first
+  getOpen() {
+    return Array.from(this.reports.values())
+      .filter(r => !r.resolution)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  findOpen(messageId, reporter) {
+    return this.getOpen().find(r => r.messageId === String(messageId) && r.reporter === reporter) || null;
+  }
+
+  // Resolves a report together with every other open report on the same
+  // message, and writes one audit entry for the lot. resolution is
+  // { action, by, at, ... }. Returns the reports that were resolved.
+  resolve(id, resolution) {
+    const report = this.get(id);
+    if (!report || report.resolution) return [];
+    const resolved = this.getOpen().filter(r => r.messageId === report.messageId);
+    for (const r of resolved) {
+      r.resolution = resolution;
+      this.record({ type: 'resolve', id: r.id, resolution });
+    }
+    this.audit({
+      ...resolution,
+      reportIds: resolved.map(r => r.id),
+      messageId: report.messageId,
+      author: report.snapshot.username
+    });
+    return resolved;
+  }
+
+  // The newest audit entries, newest first
+  readAudit(limit = 50) {
+    return this.auditLog.read().slice(-limit).reverse();
+  }
+
+  apply(entry) {
+    switch (entry.type) {
+      case 'report':
+        this.add(entry.report);
+        break;
+      case 'resolve': {
+        const report = this.get(entry.id);
+        if (report) report.resolution = entry.resolution;
+        break;
+      }
+    }
+  }
+
+  // Replays the journal, then rewrites it without resolved reports past the
+  // retention period
+  load() {
+    this.journal.replay(this.journal.read(), entry => this.apply(entry));
+
+    const now = Date.now();
+    for (const [id, report] of this.reports.entries()) {
+      if (report.resolution && now - Date.parse(report.resolution.at) > this.options.retentionMs) this.reports.delete(id);
+    }
+    this.journal.compact(Array.from(this.reports.values(), report => ({ type: 'report', report })));
+  }
+
+  record(entry) {
+    this.journal.append(entry);
+  }
+
+  audit(entry) {
+    this.auditLog.append(entry);
+  }
+}
+
+module.exports = { ReportStore, DEFAULT_OPTIONS };
@@ -1,9 +1,22 @@
+require('dotenv').config();
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const fs = require('fs');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { MemoryMessageStore, FileMessageStore } = require('./messageStore');
+const { validatePayload, ERROR_CODES, MAX_GROUP_MEMBERS } = require('./validation');
+const { CommandRegistry } = require('./commands');
+const markdown = require('./markdown');
+const { AttachmentStore, describeAttachment, sanitizeFileName, MAX_ATTACHMENT_BYTES } = require('./attachments');
+const { RateLimiter, parseBudgets } = require('./rateLimiter');
+const { LoginGuard } = require('./loginGuard');
+const { ReportStore } = require('./reportStore');
+const multer = require('multer');
+const cors = require('cors');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,22 +29,114 @@ const io = new Server(server, {
   pingInterval: 25000
 });
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
+// Data files (users, sessions, message journals, uploads) live next to the
+// app, so only the client assets are served, by exact name
+const CLIENT_FILES = ['index.html', 'chat.css', 'chat.js', 'markdown.js'];
+for (const file of CLIENT_FILES) {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
 
 // Serve the main HTML file for the root route
 app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'chat.html'));
+  res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Behind a reverse proxy, set TRUST_PROXY so client IPs come from X-Forwarded-For
+const TRUST_PROXY = Boolean(process.env.TRUST_PROXY);
+if (TRUST_PROXY) app.set('trust proxy', true);
+
+function socketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwarded) return String(forwarded).split(',')[0].trim();
+  return socket.handshake.address;
+}
+
+// Per-event budgets, e.g. RATE_LIMITS="chat message=20/60,typing=30/10"
+const rateLimiter = new RateLimiter({
+  budgets: parseBudgets(process.env.RATE_LIMITS),
+  ipMultiplier: Number(process.env.RATE_LIMIT_IP_MULTIPLIER) || undefined
+});
+
+function rateLimitMessage(retryAfter) {
+  return `You're doing that too often. Try again in ${retryAfter}s.`;
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Chat server is running' });
 });
 
+// Attachments
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+const attachmentStore = new AttachmentStore(UPLOADS_DIR);
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 } });
+
+// Uploads authenticate with the same session token the socket uses
+function requireSession(req, res, next) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  const session = verifySession(match && match[1]);
+  if (!session || bannedUsers.has(session.username)) {
+    return res.status(401).json({ error: 'Please log in to upload files' });
+  }
+  req.username = session.username;
+  next();
+}
+
+app.options('/api/attachments', cors());
+app.post('/api/attachments', cors(), requireSession, (req, res) => {
+  const limit = rateLimiter.take('upload', { user: req.username, ip: req.ip });
+  if (!limit.ok) {
+    res.set('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({ error: rateLimitMessage(limit.retryAfter), retryAfter: limit.retryAfter });
+  }
+
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Attachments can be at most 10 MB' : 'Upload failed' });
+    }
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    try {
+      const attachment = await attachmentStore.save(req.file.buffer, req.file.originalname, req.file.mimetype);
+      console.log(`${req.username} uploaded ${attachment.name} (${attachment.id})`);
+      res.status(201).json({ attachment: describeAttachment(attachment) });
+    } catch (e) {
+      if (!e.status) console.error('Error saving attachment:', e);
+      res.status(e.status || 500).json({ error: e.status ? e.message : 'Upload failed' });
+    }
+  });
+});
+
+// Stored files never change, so they can be cached forever. Nothing is
+// rendered from them, hence the locked-down CSP.
+function sendStoredFile(res, file, contentType, disposition) {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': disposition,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'",
+    'Cache-Control': 'public, max-age=31536000, immutable'
+  });
+  res.sendFile(file);
+}
+
+app.get('/api/attachments/:id', cors(), (req, res) => {
+  const attachment = attachmentStore.get(req.params.id);
+  if (!attachment) return res.sendStatus(404);
+  const disposition = attachment.kind === 'image' ? 'inline' : `attachment; filename="${attachment.name}"`;
+  sendStoredFile(res, attachmentStore.filePath(attachment.id), attachment.type, disposition);
+});
+
+app.get('/api/attachments/:id/thumbnail', cors(), (req, res) => {
+  const attachment = attachmentStore.get(req.params.id);
+  if (!attachment || attachment.kind !== 'image') return res.sendStatus(404);
+  sendStoredFile(res, attachmentStore.filePath(attachment.id, '.thumb.webp'), 'image/webp', 'inline');
+});
+
 // User storage file
 const USERS_FILE = path.join(__dirname, 'users.json');
-let registeredUsers = new Map(); // username -> { passwordHash, avatar, created }
+let registeredUsers = new Map(); // username -> { passwordHash, avatar, created, role, rooms, presence, profile, lastSeen }
 
 // Load users from file
 function loadUsers() {
@@ -59,78 +164,312 @@ function saveUsers() {
 
 loadUsers();
 
+// Moderation storage: bans and timed mutes, keyed by username
+const MODERATION_FILE = path.join(__dirname, 'moderation.json');
+let bannedUsers = new Map(); // username -> { by, reason, at }
+let mutedUsers = new Map(); // username -> { by, until }
+
+function loadModeration() {
+  try {
+    if (fs.existsSync(MODERATION_FILE)) {
+      const data = JSON.parse(fs.readFileSync(MODERATION_FILE, 'utf8'));
+      bannedUsers = new Map(Object.entries(data.bans || {}));
+      mutedUsers = new Map(Object.entries(data.mutes || {}));
+      console.log(`Loaded ${bannedUsers.size} bans from storage.`);
+    }
+  } catch (err) {
+    console.error('Error loading moderation data:', err);
+  }
+}
+
+function saveModeration() {
+  try {
+    const data = { bans: Object.fromEntries(bannedUsers), mutes: Object.fromEntries(mutedUsers) };
+    fs.writeFileSync(MODERATION_FILE, JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error('Error saving moderation data:', err);
+  }
+}
+
+loadModeration();
+
+// Session storage: only tokens whose session id is listed here are accepted,
+// so logging out revokes a token even before it expires.
+const SESSIONS_FILE = path.join(__dirname, 'sessions.json');
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set; session tokens will not survive a restart.');
+}
+let activeSessions = new Map(); // sessionId -> { username, expiresAt }
+
+function loadSessions() {
+  try {
+    if (fs.existsSync(SESSIONS_FILE)) {
+      const data = fs.readFileSync(SESSIONS_FILE, 'utf8');
+      activeSessions = new Map(Object.entries(JSON.parse(data)));
+    }
+  } catch (err) {
+    console.error('Error loading sessions:', err);
+  }
+}
+
+function saveSessions() {
+  try {
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(Object.fromEntries(activeSessions), null, 2));
+  } catch (err) {
+    console.error('Error saving sessions:', err);
+  }
+}
+
+loadSessions();
+
+// Failed logins, counted per username and IP; the audit trail is kept on disk
+const LOGIN_AUDIT_FILE = path.join(__dirname, 'login-audit.jsonl');
+const loginGuard = new LoginGuard(LOGIN_AUDIT_FILE);
+
+function describeWait(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function loginLockedError(limit) {
+  const waitMs = limit.retryAt - Date.now();
+  const message = limit.locked
+    ? `Too many failed login attempts. This account is locked; try again in ${describeWait(waitMs)}.`
+    : `Too many failed login attempts. Try again in ${describeWait(waitMs)}.`;
+  return {
+    message,
+    locked: limit.locked,
+    retryAt: new Date(limit.retryAt).toISOString(),
+    retryAfter: Math.ceil(waitMs / 1000)
+  };
+}
+
+// Message reports waiting for a moderator, and the log of how each was handled
+const REPORTS_FILE = path.join(__dirname, 'reports.jsonl');
+const MODERATION_AUDIT_FILE = path.join(__dirname, 'moderation-audit.jsonl');
+const reportStore = new ReportStore(REPORTS_FILE, MODERATION_AUDIT_FILE);
+const MAX_AUDIT_LISTED = 50;
+
 // State
 const connectedUsers = new Map(); // socketId -> userData
-const recentMessages = [];
-const MAX_MESSAGES = 200;
+const userSockets = new Map(); // username -> Set of socketIds; a user is online while this has any
+const userRooms = new Map(); // username -> Set of joined rooms, shared by the userData of all their sockets
+const MAX_MESSAGES = 1000; // per room; clients page through these
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_CONTEXT = 5; // messages shown above a jumped-to message
+const MAX_SEARCH_RESULTS = 50;
+const MAX_MENTIONS_LISTED = 50;
+const MAX_PRIVATE_MESSAGES = 100;
 const MESSAGE_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ROOM = 'general';
+const MAX_EDIT_HISTORY = 20;
+const ROLE_RANKS = { member: 0, moderator: 1, admin: 2 };
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || '').split(',').map(u => u.trim()).filter(Boolean));
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+const PUBLIC_EVENTS = new Set(['login', 'register', 'resume']);
+const DELETED_USER = { username: 'Deleted user', avatar: '👤' }; // not a valid username, so it can't be registered
 const typingUsers = new Map();
-const privateChats = new Map();
 const userPrivateChats = new Map();
-const messageLimits = new Map();
-const MESSAGE_RATE_LIMIT = 10;
-const RATE_LIMIT_WINDOW = 60000;
 
-// Helpers
-function checkRateLimit(socketId) {
-  const now = Date.now();
-  const userLimit = messageLimits.get(socketId);
-  if (!userLimit || now > userLimit.resetTime) {
-    messageLimits.set(socketId, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return true;
-  }
-  if (userLimit.count >= MESSAGE_RATE_LIMIT) return false;
-  userLimit.count++;
-  return true;
+// Message storage (set MESSAGE_STORE=memory to keep history in memory only)
+const MESSAGES_FILE = path.join(__dirname, 'messages.jsonl');
+const storeOptions = {
+  maxMessages: MAX_MESSAGES,
+  maxPrivateMessages: MAX_PRIVATE_MESSAGES,
+  defaultRoom: DEFAULT_ROOM
+};
+const messageStore = process.env.MESSAGE_STORE === 'memory'
+  ? new MemoryMessageStore(storeOptions)
+  : new FileMessageStore(MESSAGES_FILE, storeOptions);
+if (!messageStore.getRoom(DEFAULT_ROOM)) {
+  messageStore.createRoom({ name: DEFAULT_ROOM, createdBy: null, created: new Date().toISOString(), ttlMs: MESSAGE_TTL_MS });
 }
+console.log(`Loaded ${messageStore.getAllMessages().length} messages in ${messageStore.getRooms().length} rooms and ${messageStore.privateChats.size} private chats from storage.`);
 
+// Helpers
 function sanitizeMessage(message) {
   if (!message || typeof message !== 'string') return '';
   return message.trim().substring(0, 500);
 }
 
+// Registered usernames written as @name, in order of first appearance
+function parseMentions(text) {
+  return markdown.extractMentions(text).filter(username => registeredUsers.has(username));
+}
+
+// Tells each newly mentioned user (other than the author) on all their
+// sockets, as long as they have joined the room
+function notifyMentions(message, usernames) {
+  for (const username of usernames) {
+    if (username === message.username || hasBlocked(username, message.username)) continue;
+    if (!getJoinedRooms(username).has(message.room)) continue;
+    emitToUser(username, 'mentioned', {
+      messageId: String(message.id),
+      room: message.room,
+      username: message.username,
+      message: message.message,
+      timestamp: message.timestamp
+    });
+  }
+}
+
 function sanitizeUsername(username) {
   if (!username || typeof username !== 'string') return null;
   const cleaned = username.trim().replace(/[<>\"'&]/g, '').substring(0, 20);
   return cleaned || null;
 }
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+// Password hashes are stored as "<version>:<hash>". Unprefixed 64-char hex
+// strings are legacy unsalted SHA-256 hashes, upgraded on the next login.
+const PASSWORD_HASH_VERSION = 'v2';
+const BCRYPT_ROUNDS = 12;
+const LEGACY_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+async function hashPassword(password) {
+  const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  return `${PASSWORD_HASH_VERSION}:${hash}`;
+}
+
+// Resolves to { ok, needsUpgrade }
+async function verifyPassword(password, storedHash) {
+  if (!storedHash || typeof storedHash !== 'string') return { ok: false, needsUpgrade: false };
+
+  if (storedHash.startsWith(`${PASSWORD_HASH_VERSION}:`)) {
+    const ok = await bcrypt.compare(password, storedHash.slice(PASSWORD_HASH_VERSION.length + 1));
+    return { ok, needsUpgrade: false };
+  }
+
+  if (LEGACY_HASH_PATTERN.test(storedHash)) {
+    const legacyHash = crypto.createHash('sha256').update(password).digest();
+    const ok = crypto.timingSafeEqual(legacyHash, Buffer.from(storedHash, 'hex'));
+    return { ok, needsUpgrade: ok };
+  }
+
+  return { ok: false, needsUpgrade: false };
+}
+
+function roomChannel(room) {
+  return `room:${room}`;
+}
+
+// Every socket of a signed-in user joins their channel, so one emit reaches all their devices
+function userChannel(username) {
+  return `user:${username}`;
+}
+
+function emitToUser(username, event, data) {
+  io.to(userChannel(username)).emit(event, data);
+}
+
+function getRoomTtl(room) {
+  const roomData = messageStore.getRoom(room);
+  return roomData && roomData.ttlMs ? roomData.ttlMs : MESSAGE_TTL_MS;
 }
 
 function pruneExpiredMessages() {
   const now = Date.now();
-  const toDelete = [];
-  for (let i = 0; i < recentMessages.length; i++) {
-    const msg = recentMessages[i];
-    const ts = new Date(msg.timestamp).getTime();
-    if (isFinite(ts) && now - ts > MESSAGE_TTL_MS) {
-      toDelete.push(String(msg.id));
+  for (const room of messageStore.getRooms()) {
+    const ttl = getRoomTtl(room.name);
+    const toDelete = [];
+    for (const msg of messageStore.getMessages(room.name)) {
+      const ts = new Date(msg.timestamp).getTime();
+      if (isFinite(ts) && now - ts > ttl) {
+        toDelete.push(String(msg.id));
+      }
     }
+    if (toDelete.length === 0) continue;
+    messageStore.removeMessages(toDelete);
+    io.to(roomChannel(room.name)).emit('message deleted', toDelete);
+  }
+}
+
+function getRecentRoomMessages(room) {
+  const now = Date.now();
+  const ttl = getRoomTtl(room);
+  return messageStore.getMessages(room).filter(m => {
+    const ts = new Date(m.timestamp).getTime();
+    return isFinite(ts) && now - ts <= ttl;
+  });
+}
+
+// One page of a room's history ending just before the `before` message id
+// (or at the newest message), plus whether anything older is left. With
+// `until` the page stretches back far enough to include that message.
+function getRoomHistoryPage(room, before = null, limit = HISTORY_PAGE_SIZE, until = null) {
+  const messages = getRecentRoomMessages(room);
+  let end = messages.length;
+  if (before) {
+    end = messages.findIndex(m => String(m.id) === String(before));
+    if (end === -1) return { messages: [], hasMore: false };
   }
-  if (toDelete.length === 0) return;
-  for (const id of toDelete) {
-    const idx = recentMessages.findIndex(m => String(m.id) === id);
-    if (idx !== -1) recentMessages.splice(idx, 1);
+  let start = Math.max(0, end - limit);
+  if (until) {
+    const target = messages.findIndex(m => String(m.id) === String(until));
+    if (target !== -1 && target < start) start = Math.max(0, target - HISTORY_CONTEXT);
   }
-  io.emit('message deleted', toDelete);
+  return { messages: messages.slice(start, end), hasMore: start > 0 };
+}
+
+// Searches the rooms the user is in and their private chats, newest first
+function searchMessages(userData, filters) {
+  const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const from = filters.from ? Date.parse(filters.from) : -Infinity;
+  const to = filters.to ? Date.parse(filters.to) : Infinity;
+  const author = filters.author ? filters.author.toLowerCase() : null;
+
+  const matches = (m, repliedTo) => {
+    if (author && m.username.toLowerCase() !== author) return false;
+    const ts = Date.parse(m.timestamp);
+    if (!(ts >= from && ts <= to)) return false;
+    if (filters.hasReply && !repliedTo.has(String(m.id))) return false;
+    const text = `${m.message} ${m.attachment ? m.attachment.name : ''}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+  };
+
+  const hits = [];
+  for (const room of userData.rooms) {
+    const messages = getRecentRoomMessages(room);
+    const repliedTo = new Set(messages.filter(m => m.replyTo).map(m => String(m.replyTo.id)));
+    for (const m of messages) {
+      if (!matches(m, repliedTo)) continue;
+      hits.push({ id: m.id, room, username: m.username, avatar: m.avatar, message: m.message, attachment: m.attachment || null, timestamp: m.timestamp, replyTo: m.replyTo || null });
+    }
+  }
+  for (const chat of messageStore.getPrivateChatsFor(userData.username)) {
+    const participants = Array.from(chat.participants);
+    for (const m of visiblePrivateMessages(chat, userData.username)) {
+      if (m.system || !matches(m, new Set())) continue;
+      hits.push({ id: m.id, chatId: chat.id, participants, name: chat.name || null, username: m.username, message: m.message, attachment: m.attachment || null, timestamp: m.timestamp, replyTo: null });
+    }
+  }
+
+  hits.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+  return { total: hits.length, results: hits.slice(0, MAX_SEARCH_RESULTS) };
+}
+
+// Messages reference an uploaded file by id; everything else about it comes from the store
+function resolveAttachment(ref) {
+  if (!ref) return null;
+  const stored = attachmentStore.get(ref.id);
+  if (!stored) return null;
+  return describeAttachment({ ...stored, name: ref.name ? sanitizeFileName(ref.name) : stored.name });
 }
 
 function addMessageToHistory(messageData) {
   if (!messageData.reactions) messageData.reactions = {};
   if (!messageData.id) messageData.id = String(Date.now() + Math.random());
 
-  recentMessages.push({ ...messageData, id: String(messageData.id) });
+  messageStore.addMessage({ ...messageData, id: String(messageData.id) });
 
   pruneExpiredMessages();
-  if (recentMessages.length > MAX_MESSAGES) {
-    recentMessages.splice(0, recentMessages.length - MAX_MESSAGES);
-  }
 }
 
 function updateMessageReactions(messageId, reaction, username, action) {
-  const message = recentMessages.find(msg => String(msg.id) === String(messageId));
+  const message = messageStore.findMessage(messageId);
   if (!message) return false;
   if (!message.reactions) message.reactions = {};
 
@@ -153,61 +492,775 @@ function updateMessageReactions(messageId, reaction, username, action) {
       }
     }
   }
+  messageStore.updateMessage(messageId, { reactions: message.reactions });
   return true;
 }
 
+// Presence
+// The chosen status and custom status line live on the account; idle is per
+// socket and turns "online" into "away" once every socket of the user is idle.
+function getPresence(username) {
+  const user = registeredUsers.get(username);
+  const presence = (user && user.presence) || {};
+  let custom = presence.custom || null;
+  if (custom && custom.expiresAt && Date.parse(custom.expiresAt) <= Date.now()) custom = null;
+  return { status: presence.status || 'online', custom };
+}
+
+function isInvisible(username) {
+  return getPresence(username).status === 'invisible';
+}
+
+function isIdle(username) {
+  const sockets = Array.from(userSockets.get(username) || [], id => connectedUsers.get(id)).filter(Boolean);
+  return sockets.length > 0 && sockets.every(u => u.idle);
+}
+
+function describePresence(username) {
+  const { status, custom } = getPresence(username);
+  const idle = isIdle(username);
+  return { status: status === 'online' && idle ? 'away' : status, idle, customStatus: custom };
+}
+
+// Going invisible looks like leaving to everyone else, and coming back like joining
+function setPresence(username, presence) {
+  const user = registeredUsers.get(username);
+  if (!user) return;
+  const wasInvisible = isInvisible(username);
+  user.presence = presence;
+  saveUsers();
+
+  if (isOnline(username) && wasInvisible !== isInvisible(username)) {
+    const timestamp = new Date().toISOString();
+    if (wasInvisible) {
+      io.emit('user joined', { username, avatar: user.avatar, timestamp });
+      deliverInbox(username);
+    } else {
+      user.lastSeen = timestamp;
+      saveUsers();
+      io.emit('user left', { username, timestamp });
+    }
+    for (const u of connectedUsers.values()) {
+      if (u.username === username) u.rooms.forEach(broadcastRoomUsers);
+    }
+  }
+  broadcastUserCount();
+}
+
+function clearExpiredStatuses() {
+  let changed = false;
+  for (const user of registeredUsers.values()) {
+    const custom = user.presence && user.presence.custom;
+    if (custom && custom.expiresAt && Date.parse(custom.expiresAt) <= Date.now()) {
+      user.presence.custom = null;
+      changed = true;
+    }
+  }
+  if (changed) {
+    saveUsers();
+    broadcastUserCount();
+  }
+}
+
+function getOnlineUsers() {
+  return Array.from(userSockets.keys()).map(username => {
+    const user = registeredUsers.get(username) || {};
+    return {
+      username,
+      avatar: user.avatar || '😊',
+      role: getUserRole(username),
+      ...describePresence(username)
+    };
+  });
+}
+
+// Invisible users are left out, except from the list they get themselves
 function broadcastUserCount() {
-  const count = connectedUsers.size;
-  const onlineUsers = Array.from(connectedUsers.values()).map(u => ({
-    username: u.username,
-    avatar: u.avatar || '😊'
+  const users = getOnlineUsers();
+  const visible = users.filter(u => u.status !== 'invisible');
+  io.emit('user count', visible.length);
+  io.emit('online users', visible);
+  for (const user of users) {
+    if (user.status !== 'invisible') continue;
+    emitToUser(user.username, 'online users', [...visible, user]);
+  }
+}
+
+function getRoomUsers(room) {
+  const users = new Map();
+  for (const u of connectedUsers.values()) {
+    if (u.rooms.has(room) && !isInvisible(u.username)) users.set(u.username, { username: u.username, avatar: u.avatar || '😊' });
+  }
+  return Array.from(users.values());
+}
+
+function broadcastRoomUsers(room) {
+  io.to(roomChannel(room)).emit('room users', { room, users: getRoomUsers(room) });
+}
+
+function listRooms() {
+  return messageStore.getRooms().map(r => ({
+    name: r.name,
+    createdBy: r.createdBy,
+    created: r.created,
+    ttlHours: Math.round(getRoomTtl(r.name) / 3600000),
+    online: getRoomUsers(r.name).length
   }));
-  io.emit('user count', count);
-  io.emit('online users', onlineUsers);
 }
 
-function cleanupRateLimits() {
-  const now = Date.now();
-  for (const [socketId, limitData] of messageLimits.entries()) {
-    if (now > limitData.resetTime) messageLimits.delete(socketId);
+function broadcastRoomList() {
+  io.emit('room list', listRooms());
+}
+
+// Rooms a user has joined, whether or not they are online
+function getJoinedRooms(username) {
+  if (userRooms.has(username)) return userRooms.get(username);
+  const user = registeredUsers.get(username);
+  return new Set([DEFAULT_ROOM, ...((user && user.rooms) || [])]);
+}
+
+// Remember which rooms a user had joined so they rejoin them on login
+function saveUserRooms(username) {
+  const user = registeredUsers.get(username);
+  if (!user) return;
+  user.rooms = Array.from(getJoinedRooms(username));
+  saveUsers();
+}
+
+// Role & Moderation Helpers
+function getUserRole(username) {
+  if (ADMIN_USERS.has(username)) return 'admin';
+  const user = registeredUsers.get(username);
+  return user && ROLE_RANKS[user.role] !== undefined ? user.role : 'member';
+}
+
+function isModerator(username) {
+  return ROLE_RANKS[getUserRole(username)] >= ROLE_RANKS.moderator;
+}
+
+// Staff can only act on users ranked below them
+function canModerate(actor, target) {
+  return actor !== target && ROLE_RANKS[getUserRole(actor)] > ROLE_RANKS[getUserRole(target)];
+}
+
+function getMute(username) {
+  const mute = mutedUsers.get(username);
+  if (!mute) return null;
+  if (Date.now() > new Date(mute.until).getTime()) {
+    mutedUsers.delete(username);
+    saveModeration();
+    return null;
   }
-  for (const [socketId] of messageLimits.entries()) {
-    if (!connectedUsers.has(socketId)) messageLimits.delete(socketId);
+  return mute;
+}
+
+function describeMute(mute) {
+  return `You are muted until ${new Date(mute.until).toLocaleString()}`;
+}
+
+function getUserSockets(username) {
+  return Array.from(userSockets.get(username) || [], id => io.sockets.sockets.get(id)).filter(Boolean);
+}
+
+function isOnline(username) {
+  return userSockets.has(username);
+}
+
+// Online as far as other users can tell; invisible users look offline
+function isVisiblyOnline(username) {
+  return isOnline(username) && !isInvisible(username);
+}
+
+function disconnectUser(username, event, payload) {
+  for (const s of getUserSockets(username)) {
+    s.emit(event, payload);
+    s.disconnect(true);
   }
 }
 
+function listBans() {
+  return Array.from(bannedUsers.entries()).map(([username, ban]) => ({ username, ...ban }));
+}
+
+function announceModeration(action, username, by, extra = {}) {
+  io.emit('moderation action', { action, username, by, timestamp: new Date().toISOString(), ...extra });
+}
+
+function muteUser(staff, target, minutes) {
+  const until = new Date(Date.now() + minutes * 60000).toISOString();
+  mutedUsers.set(target, { by: staff, until });
+  saveModeration();
+  emitToUser(target, 'muted', { by: staff, until });
+  announceModeration('mute', target, staff, { until });
+  console.log(`${staff} muted ${target} for ${minutes} minutes`);
+}
+
+function banUser(staff, target, reason) {
+  bannedUsers.set(target, { by: staff, reason, at: new Date().toISOString() });
+  saveModeration();
+  revokeUserSessions(target);
+  disconnectUser(target, 'banned', { by: staff, reason });
+  announceModeration('ban', target, staff);
+  console.log(`${staff} banned ${target}`);
+}
+
+// Report Helpers
+function snapshotMessage(message) {
+  return {
+    id: String(message.id),
+    username: message.username,
+    avatar: message.avatar,
+    message: message.message || '',
+    attachment: message.attachment || null,
+    action: Boolean(message.action),
+    timestamp: message.timestamp,
+    editedAt: message.editedAt || null
+  };
+}
+
+// The live message a report points at, or null once it has expired or been deleted
+function findReportedMessage(report) {
+  if (!report.chatId) return messageStore.findMessage(report.messageId);
+  const chat = messageStore.getPrivateChat(report.chatId);
+  return chat ? chat.messages.find(m => String(m.id) === report.messageId) || null : null;
+}
+
+function removeReportedMessage(report) {
+  if (!findReportedMessage(report)) return false;
+  if (report.chatId) {
+    const chat = messageStore.getPrivateChat(report.chatId);
+    messageStore.removePrivateMessages(chat.id, [report.messageId]);
+    for (const username of chat.participants) emitToUser(username, 'message deleted', [report.messageId]);
+  } else {
+    const message = messageStore.findMessage(report.messageId);
+    messageStore.removeMessages([report.messageId]);
+    io.to(roomChannel(message.room)).emit('message deleted', [report.messageId]);
+  }
+  return true;
+}
+
+// Open reports grouped by message (oldest first) and the latest resolutions
+function describeReportQueue() {
+  const queue = new Map();
+  for (const report of reportStore.getOpen()) {
+    if (!queue.has(report.messageId)) {
+      const chat = report.chatId ? messageStore.getPrivateChat(report.chatId) : null;
+      queue.set(report.messageId, {
+        messageId: report.messageId,
+        room: report.room,
+        chatId: report.chatId,
+        chatName: chat && chat.group ? chat.name : null,
+        snapshot: report.snapshot,
+        available: Boolean(findReportedMessage(report)),
+        reports: []
+      });
+    }
+    const { id, reporter, reason, details, createdAt } = report;
+    queue.get(report.messageId).reports.push({ id, reporter, reason, details, createdAt });
+  }
+  return { reports: Array.from(queue.values()), log: reportStore.readAudit(MAX_AUDIT_LISTED) };
+}
+
+// Keeps every online moderator's count of open reports current
+function notifyModerators() {
+  const open = reportStore.getOpen().length;
+  for (const username of userSockets.keys()) {
+    if (isModerator(username)) emitToUser(username, 'report count', { open });
+  }
+}
+
+// Session Helpers
+function signSession(username, sessionId) {
+  return jwt.sign({ sub: username, sid: sessionId }, SESSION_SECRET, {
+    expiresIn: Math.floor(SESSION_TTL_MS / 1000)
+  });
+}
+
+function createSession(username) {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  activeSessions.set(sessionId, { username, expiresAt });
+  saveSessions();
+  return { sessionId, token: signSession(username, sessionId), expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// Extends a session and signs a fresh token for it. The session id stays the
+// same, so other tabs still holding an earlier token (they all share one in
+// localStorage) can keep resuming with it.
+function renewSession(sessionId) {
+  const session = activeSessions.get(sessionId);
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  saveSessions();
+  return { sessionId, token: signSession(session.username, sessionId), expiresAt: new Date(session.expiresAt).toISOString() };
+}
+
+// Returns { sessionId, username } for a valid, unrevoked token, otherwise null
+function verifySession(token) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const payload = jwt.verify(token, SESSION_SECRET);
+    const session = activeSessions.get(payload.sid);
+    if (!session || session.username !== payload.sub || !registeredUsers.has(payload.sub)) return null;
+    return { sessionId: payload.sid, username: payload.sub };
+  } catch (err) {
+    return null;
+  }
+}
+
+function revokeSession(sessionId) {
+  if (activeSessions.delete(sessionId)) saveSessions();
+}
+
+function revokeUserSessions(username) {
+  let changed = false;
+  for (const [sessionId, session] of activeSessions.entries()) {
+    if (session.username === username) {
+      activeSessions.delete(sessionId);
+      changed = true;
+    }
+  }
+  if (changed) saveSessions();
+}
+
+function cleanupSessions() {
+  const now = Date.now();
+  let changed = false;
+  for (const [sessionId, session] of activeSessions.entries()) {
+    if (now > session.expiresAt) {
+      activeSessions.delete(sessionId);
+      changed = true;
+    }
+  }
+  if (changed) saveSessions();
+}
+
 // Private Chat Helper
+function findPrivateChat(user1, user2) {
+  return messageStore.getPrivateChatsFor(user1).find(c => !c.group && c.participants.has(user2)) || null;
+}
+
 function getOrCreatePrivateChat(user1, user2) {
+  const existing = findPrivateChat(user1, user2);
+  if (existing) return existing.id;
+
+  // The usual id may belong to a chat with a deleted account of the same name
   const participants = [user1, user2].sort();
-  const chatId = `pc_${participants.join('_')}`;
-
-  if (!privateChats.has(chatId)) {
-    privateChats.set(chatId, {
-      id: chatId,
-      participants: new Set(participants),
-      messages: [],
-      created: new Date().toISOString()
-    });
-  }
+  let chatId = `pc_${participants.join('_')}`;
+  if (messageStore.getPrivateChat(chatId)) chatId += `_${crypto.randomBytes(4).toString('hex')}`;
+  messageStore.createPrivateChat(chatId, participants);
   return chatId;
 }
 
 function addPrivateMessageToHistory(chatId, messageData) {
-  const chat = privateChats.get(chatId);
+  messageStore.addPrivateMessage(chatId, messageData);
+}
+
+// Invites waiting for an answer, as "from->to"
+const pendingInvites = new Set();
+
+function inviteKey(from, to) {
+  return `${from}->${to}`;
+}
+
+// What clients get to know about a private chat besides its messages
+function describePrivateChat(chat) {
+  const description = { chatId: chat.id, participants: Array.from(chat.participants) };
+  if (chat.group) Object.assign(description, { group: true, name: chat.name, owner: chat.owner });
+  return description;
+}
+
+// Messages from someone a participant had blocked are kept from them, and
+// nobody is told who that was
+function visiblePrivateMessages(chat, username) {
+  return chat.messages
+    .filter(m => !(m.hiddenFrom || []).includes(username))
+    .map(({ hiddenFrom, ...m }) => m);
+}
+
+function emitPrivateChatHistory(chatId, usernames = null) {
+  const chat = messageStore.getPrivateChat(chatId);
   if (!chat) return;
+  for (const username of usernames || chat.participants) {
+    emitToUser(username, 'private chat history', { ...describePrivateChat(chat), messages: visiblePrivateMessages(chat, username) });
+  }
+}
+
+function emitToParticipants(chat, event, data) {
+  const { hiddenFrom = [], ...visible } = data;
+  for (const username of chat.participants) {
+    if (!hiddenFrom.includes(username)) emitToUser(username, event, visible);
+  }
+}
+
+// Who a private message was sent to; messages from before group chats only have toUsername
+function messageRecipients(message) {
+  return message.recipients || [message.toUsername];
+}
+
+function isUnreadFor(message, username) {
+  return !message.system &&
+    message.username !== username &&
+    messageRecipients(message).includes(username) &&
+    !(message.hiddenFrom || []).includes(username) &&
+    !(message.readBy || []).includes(username) &&
+    !message.readAt;
+}
+
+// Records that a recipient received or read these messages and tells the
+// senders. deliveredAt and readAt are set once every recipient has.
+function markPrivateMessages(chat, messages, username, state) {
+  const listField = state === 'read' ? 'readBy' : 'deliveredTo';
+  const timeField = state === 'read' ? 'readAt' : 'deliveredAt';
+  const now = new Date().toISOString();
+  const bySender = new Map();
+  for (const m of messages) {
+    const list = Array.from(new Set([...(m[listField] || []), username]));
+    const changes = { [listField]: list };
+    if (messageRecipients(m).every(r => list.includes(r))) changes[timeField] = now;
+    messageStore.updatePrivateMessage(chat.id, m.id, changes);
+
+    if (!bySender.has(m.username)) bySender.set(m.username, []);
+    bySender.get(m.username).push({
+      id: m.id,
+      deliveredTo: m.deliveredTo || [],
+      readBy: m.readBy || [],
+      deliveredAt: m.deliveredAt || null,
+      readAt: m.readAt || null
+    });
+  }
+  for (const [sender, statuses] of bySender.entries()) {
+    emitToUser(sender, 'private message status', { chatId: chat.id, messages: statuses });
+  }
+}
+
+// Hand over the private messages queued while the user was offline
+function deliverInbox(username) {
+  const inbox = messageStore.getInbox(username);
+  if (inbox.length === 0) return null;
+  messageStore.clearInbox(username);
+
+  const chats = [];
+  const byChat = new Map();
+  for (const { chatId, messageId } of inbox) {
+    if (!byChat.has(chatId)) byChat.set(chatId, new Set());
+    byChat.get(chatId).add(String(messageId));
+  }
+  for (const [chatId, ids] of byChat.entries()) {
+    const chat = messageStore.getPrivateChat(chatId);
+    if (!chat || !chat.participants.has(username)) continue;
+    const messages = chat.messages.filter(m => ids.has(String(m.id)) && !(m.deliveredTo || []).includes(username));
+    if (messages.length === 0) continue;
+    markPrivateMessages(chat, messages, username, 'delivered');
+    chats.push({ chatId, name: chat.name || null, count: messages.length, from: Array.from(new Set(messages.map(m => m.username))) });
+  }
+  return { count: chats.reduce((sum, c) => sum + c.count, 0), chats };
+}
+
+// A user's private chats, most recently active first
+function listPrivateChats(username) {
+  return messageStore.getPrivateChatsFor(username)
+    .map(chat => {
+      const messages = visiblePrivateMessages(chat, username);
+      const lastMessage = messages[messages.length - 1] || null;
+      return {
+        ...describePrivateChat(chat),
+        lastMessage,
+        unread: messages.filter(m => isUnreadFor(m, username)).length,
+        updated: lastMessage ? lastMessage.timestamp : chat.created
+      };
+    })
+    .sort((a, b) => String(b.updated).localeCompare(String(a.updated)));
+}
+
+// Group chats
+// Groups reuse private chat storage with a random id, a name and an owner.
+// Membership changes are posted into the chat as system messages.
+function createGroupChat(owner, name, members) {
+  const chatId = `gc_${crypto.randomBytes(8).toString('hex')}`;
+  const participants = [owner, ...members.filter(m => m !== owner)];
+  messageStore.createPrivateChat(chatId, participants, { group: true, name, owner });
+  return messageStore.getPrivateChat(chatId);
+}
 
-  chat.messages.push(messageData);
-  if (chat.messages.length > 100) {
-    chat.messages.shift();
+function addGroupSystemMessage(chat, text) {
+  const message = {
+    id: String(Date.now() + Math.random()),
+    system: true,
+    message: text,
+    timestamp: new Date().toISOString(),
+    isPrivate: true,
+    chatId: chat.id
+  };
+  addPrivateMessageToHistory(chat.id, message);
+  emitToParticipants(chat, 'private message', message);
+}
+
+// Account Helpers
+function hasBlocked(username, other) {
+  const user = registeredUsers.get(username);
+  return Boolean(user && user.blocked && user.blocked.includes(other));
+}
+
+function profileFields(user) {
+  const profile = user.profile || {};
+  return {
+    displayName: profile.displayName || '',
+    pronouns: profile.pronouns || '',
+    bio: profile.bio || '',
+    links: profile.links || []
+  };
+}
+
+// Invisible users look offline here too, last seen when they went invisible
+function describeProfile(username) {
+  const user = registeredUsers.get(username);
+  const online = isVisiblyOnline(username);
+  return {
+    username,
+    avatar: user.avatar || '😊',
+    role: getUserRole(username),
+    ...profileFields(user),
+    joined: user.created || null,
+    lastSeen: online ? null : user.lastSeen || null,
+    online,
+    ...(online ? describePresence(username) : {})
+  };
+}
+
+function changeAvatar(username, avatar) {
+  const user = registeredUsers.get(username);
+  user.avatar = avatar;
+  saveUsers();
+  messageStore.updateAuthor(username, { avatar });
+
+  const rooms = new Set();
+  for (const u of connectedUsers.values()) {
+    if (u.username !== username) continue;
+    u.avatar = avatar;
+    u.rooms.forEach(room => rooms.add(room));
+  }
+  io.emit('avatar changed', { username, avatar });
+  rooms.forEach(broadcastRoomUsers);
+  broadcastUserCount();
+}
+
+// Removes an account. Its messages stay where they are, credited to DELETED_USER.
+function deleteAccount(username) {
+  const chats = messageStore.getPrivateChatsFor(username);
+  for (const chat of chats) {
+    const participants = Array.from(chat.participants).filter(u => u !== username);
+    const changes = { participants };
+    if (chat.group && chat.owner === username) changes.owner = participants[0] || null;
+    messageStore.updatePrivateChat(chat.id, changes);
+  }
+  messageStore.anonymizeUser(username, DELETED_USER);
+  for (const chat of chats) {
+    addGroupSystemMessage(chat, chat.group ? 'A member deleted their account' : 'This account has been deleted');
+    emitToParticipants(chat, 'private chat updated', describePrivateChat(chat));
+  }
+
+  for (const key of Array.from(pendingInvites)) {
+    if (key.startsWith(inviteKey(username, '')) || key.endsWith(inviteKey('', username))) pendingInvites.delete(key);
+  }
+  // A new account with the same name starts out unblocked
+  for (const [name, user] of registeredUsers.entries()) {
+    if (!user.blocked || !user.blocked.includes(username)) continue;
+    user.blocked = user.blocked.filter(u => u !== username);
+    emitToUser(name, 'blocked users', user.blocked);
   }
+  if (mutedUsers.delete(username)) saveModeration();
+  revokeUserSessions(username);
+  disconnectUser(username, 'account deleted', { message: 'Your account has been deleted.' });
+  registeredUsers.delete(username);
+  saveUsers();
+
+  io.emit('user deleted', { username, replacement: DELETED_USER });
+  broadcastRoomList();
 }
 
+// Slash Commands
+// Handlers get the parsed args and { socket, userData, room, dispatch }, where
+// dispatch(event, data) runs a regular socket event as this user. Returning a
+// string sends it back to the caller as a system message.
+const commands = new CommandRegistry({ roleRanks: ROLE_RANKS });
+
+commands.register('help', {
+  description: 'List commands or show help for one',
+  args: [{ name: 'command' }],
+  handler: (args, { userData }) => {
+    const role = getUserRole(userData.username);
+    if (args.command) {
+      const command = commands.get(args.command.replace(/^\//, ''));
+      if (!command || !commands.isAllowed(command, role)) return `Unknown command /${args.command}`;
+      return `${command.usage} - ${command.description}`;
+    }
+    return 'Commands: ' + commands.list(role).map(c => c.usage).join(', ');
+  }
+});
+
+commands.register('me', {
+  description: 'Describe an action, e.g. /me waves',
+  args: [{ name: 'action', required: true, rest: true }],
+  handler: (args, { room, dispatch }) => {
+    dispatch('chat message', { message: args.action, room, action: true });
+  }
+});
+
+commands.register('msg', {
+  description: 'Send a private message',
+  args: [{ name: 'username', required: true }, { name: 'message', required: true, rest: true }],
+  aliases: ['whisper', 'w'],
+  handler: (args, { userData, dispatch }) => {
+    if (args.username === userData.username) return 'You cannot message yourself';
+    if (!registeredUsers.has(args.username)) return `No user named ${args.username}`;
+    if (hasBlocked(userData.username, args.username)) return `Unblock ${args.username} to message them`;
+    const mute = getMute(userData.username);
+    if (mute) return describeMute(mute);
+    // Like an invite, a first message to someone who blocked the sender looks sent but goes nowhere
+    if (!findPrivateChat(userData.username, args.username) && hasBlocked(args.username, userData.username)) {
+      return `Message sent to ${args.username}`;
+    }
+    const chatId = getOrCreatePrivateChat(userData.username, args.username);
+    dispatch('private message', { chatId, toUsername: args.username, message: args.message });
+  }
+});
+
+commands.register('who', {
+  description: 'List who is in this room',
+  handler: (args, { room }) => {
+    const users = getRoomUsers(room).map(u => u.username);
+    return `${users.length} in #${room}: ${users.join(', ')}`;
+  }
+});
+
+commands.register('away', {
+  description: 'Mark yourself as away',
+  args: [{ name: 'message', rest: true }],
+  handler: (args, { userData }) => {
+    const text = (args.message || '').substring(0, 100);
+    setPresence(userData.username, { status: 'away', custom: text ? { text, emoji: null, expiresAt: null } : null });
+    return text ? `You are now away: ${text}` : 'You are now away';
+  }
+});
+
+commands.register('back', {
+  description: 'Clear your away status',
+  handler: (args, { userData }) => {
+    if (getPresence(userData.username).status !== 'away') return 'You are not away';
+    setPresence(userData.username, { status: 'online', custom: null });
+    return 'Welcome back';
+  }
+});
+
+commands.register('join', {
+  description: 'Join a room',
+  args: [{ name: 'room', required: true }],
+  handler: (args, { dispatch }) => {
+    dispatch('join room', { room: args.room.replace(/^#/, '').toLowerCase() });
+  }
+});
+
+commands.register('leave', {
+  description: 'Leave this room or the one named',
+  args: [{ name: 'room' }],
+  handler: (args, { room, dispatch }) => {
+    dispatch('leave room', { room: args.room ? args.room.replace(/^#/, '').toLowerCase() : room });
+  }
+});
+
+commands.register('kick', {
+  description: 'Disconnect a user',
+  args: [{ name: 'username', required: true }, { name: 'reason', rest: true }],
+  minRole: 'moderator',
+  handler: (args, { dispatch }) => {
+    dispatch('kick user', { username: args.username, reason: args.reason });
+  }
+});
+
+commands.register('mute', {
+  description: 'Stop a user posting for a number of minutes',
+  args: [{ name: 'username', required: true }, { name: 'minutes', required: true }],
+  minRole: 'moderator',
+  handler: (args, { dispatch }) => {
+    dispatch('mute user', { username: args.username, minutes: Number(args.minutes) });
+  }
+});
+
+commands.register('unmute', {
+  description: 'Lift a mute',
+  args: [{ name: 'username', required: true }],
+  minRole: 'moderator',
+  handler: (args, { dispatch }) => {
+    dispatch('unmute user', { username: args.username });
+  }
+});
+
+commands.register('ban', {
+  description: 'Ban a user',
+  args: [{ name: 'username', required: true }, { name: 'reason', rest: true }],
+  minRole: 'moderator',
+  handler: (args, { dispatch }) => {
+    dispatch('ban user', { username: args.username, reason: args.reason });
+  }
+});
+
 // Socket Logic
 io.on("connection", (socket) => {
   console.log(`Socket connected: ${socket.id}`);
 
+  // Everything except the auth handshake needs a logged-in socket. Handlers
+  // take identity from connectedUsers, never from the payload.
+  const ip = socketIp(socket);
+
+  socket.use((packet, next) => {
+    const [event, data] = packet;
+
+    // Every event spends from the sender's budget, whether or not it is valid
+    const sender = connectedUsers.get(socket.id);
+    const limit = rateLimiter.take(event, { user: sender && sender.username, ip });
+    if (!limit.ok) {
+      socket.emit('rate limited', { event, retryAfter: limit.retryAfter, message: rateLimitMessage(limit.retryAfter) });
+      return;
+    }
+
+    if (!PUBLIC_EVENTS.has(event) && !connectedUsers.has(socket.id)) {
+      socket.emit('unauthorized', { event, message: 'Please log in to continue' });
+      return;
+    }
+
+    // Handlers only ever see payloads that passed their schema
+    const result = validatePayload(event, data);
+    if (!result.ok) {
+      rejectPayload(event, result.error);
+      return;
+    }
+    packet[1] = result.value;
+    next();
+  });
+
+  function rejectPayload(event, error) {
+    socket.emit('validation error', { event, ...error });
+  }
+
+  // Muted users can't post anything other people read: rooms, DMs or groups
+  function rejectIfMuted(username) {
+    const mute = getMute(username);
+    if (mute) socket.emit('error', { message: describeMute(mute) });
+    return Boolean(mute);
+  }
+
+  // Runs another event's handlers for this socket, validating like the middleware does
+  function dispatch(event, data) {
+    const result = validatePayload(event, data);
+    if (!result.ok) {
+      rejectPayload(event, result.error);
+      return;
+    }
+    for (const listener of socket.listeners(event)) listener(result.value);
+  }
+
   // LOGIN
-  socket.on('login', (data) => {
+  socket.on('login', async (data) => {
     try {
       const { username, password } = data;
       if (!username || !password) {
@@ -215,55 +1268,333 @@ io.on("connection", (socket) => {
         return;
       }
 
+      // Locked out usernames and IPs are turned away before the password is checked
+      const limit = loginGuard.check(username, ip);
+      if (!limit.ok) {
+        socket.emit('login_error', loginLockedError(limit));
+        return;
+      }
+
+      // The attempt counts as pending while the hash is compared
       const user = registeredUsers.get(username);
-      if (!user || user.passwordHash !== hashPassword(password)) {
-        socket.emit('login_error', { message: 'Invalid username or password' });
+      let check;
+      loginGuard.begin(username, ip);
+      try {
+        check = user ? await verifyPassword(password, user.passwordHash) : { ok: false };
+      } finally {
+        loginGuard.finish(username, ip);
+      }
+      if (!check.ok) {
+        const next = loginGuard.recordFailure(username, ip, user ? 'bad password' : 'unknown user');
+        console.log(`Failed login for ${username} from ${ip}${next.locked ? ' (locked out)' : ''}`);
+        socket.emit('login_error', next.locked ? loginLockedError(next) : { message: 'Invalid username or password' });
         return;
       }
+      loginGuard.recordSuccess(username, ip);
 
-      const existingUser = Array.from(connectedUsers.values()).find(u => u.username === username);
-      if (existingUser) {
-        socket.emit('login_error', { message: 'User already logged in' });
-        // return; 
+      if (bannedUsers.has(username)) {
+        socket.emit('login_error', { message: 'This account has been banned' });
+        return;
       }
 
-      connectedUsers.set(socket.id, {
-        username: username,
-        avatar: user.avatar,
-        socketId: socket.id,
-        joinTime: new Date()
-      });
+      if (check.needsUpgrade) {
+        user.passwordHash = await hashPassword(password);
+        saveUsers();
+        console.log(`Upgraded password hash for ${username}.`);
+      }
 
-      socket.emit('login_success', {
-        username: username,
-        avatar: user.avatar
-      });
+      // The client may have gone while the hash was compared; its disconnect
+      // has already run, so binding the socket now would leave it online forever
+      if (!socket.connected) return;
 
+      startUserSession(username, createSession(username));
+      console.log(`${username} logged in.`);
+    } catch (e) {
+      console.error(e);
+      socket.emit('login_error', { message: 'Server error during login' });
+    }
+  });
+
+  // RESUME (authenticate a new socket from a session token)
+  socket.on('resume', (data) => {
+    try {
+      const verified = verifySession(data && data.token);
+      if (!verified) {
+        socket.emit('resume_error', { message: 'Session expired. Please log in again.' });
+        return;
+      }
+      if (bannedUsers.has(verified.username)) {
+        revokeSession(verified.sessionId);
+        socket.emit('resume_error', { message: 'This account has been banned' });
+        return;
+      }
+
+      // Every resume also refreshes the session's expiry
+      startUserSession(verified.username, renewSession(verified.sessionId));
+      console.log(`${verified.username} resumed session.`);
+    } catch (e) {
+      console.error(e);
+      socket.emit('resume_error', { message: 'Server error during resume' });
+    }
+  });
+
+  socket.on('refresh session', () => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData || !activeSessions.has(userData.sessionId)) {
+        socket.emit('resume_error', { message: 'Session expired. Please log in again.' });
+        return;
+      }
+      const session = renewSession(userData.sessionId);
+      socket.emit('session refreshed', { token: session.token, expiresAt: session.expiresAt });
+    } catch (e) {
+      console.error(e);
+    }
+  });
+
+  socket.on('logout', () => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      revokeSession(userData.sessionId);
+      // Other tabs share this browser's token, so they are logged out with it
+      for (const s of getUserSockets(userData.username)) {
+        const other = connectedUsers.get(s.id);
+        if (s.id === socket.id || !other || other.sessionId !== userData.sessionId) continue;
+        s.emit('logged out');
+        s.disconnect(true);
+      }
+      leaveChat();
+      socket.emit('logged out');
+      console.log(`${userData.username} logged out.`);
+    } catch (e) {
+      console.error(e);
+    }
+  });
+
+  // ACCOUNT SETTINGS
+  function accountError(action, message) {
+    socket.emit('account error', { action, message });
+  }
+
+  socket.on('change password', async (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const user = registeredUsers.get(userData.username);
+      const check = await verifyPassword(data.currentPassword, user.passwordHash);
+      if (!check.ok) {
+        accountError('change password', 'Your current password is incorrect');
+        return;
+      }
+
+      user.passwordHash = await hashPassword(data.newPassword);
+      saveUsers();
+
+      // Every other device has to log in again with the new password; tabs
+      // sharing this browser's session stay signed in
+      for (const [sessionId, session] of activeSessions.entries()) {
+        if (session.username === userData.username && sessionId !== userData.sessionId) activeSessions.delete(sessionId);
+      }
+      saveSessions();
+      for (const s of getUserSockets(userData.username)) {
+        const other = connectedUsers.get(s.id);
+        if (other && other.sessionId === userData.sessionId) continue;
+        s.emit('logged out', { message: 'Your password was changed. Please log in again.' });
+        s.disconnect(true);
+      }
+
+      socket.emit('password changed');
+      console.log(`${userData.username} changed their password.`);
+    } catch (e) {
+      console.error(e);
+      accountError('change password', 'Server error while changing password');
+    }
+  });
+
+  socket.on('change avatar', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      changeAvatar(userData.username, data.avatar);
+    } catch (e) {
+      console.error(e);
+    }
+  });
+
+  socket.on('delete account', async (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const user = registeredUsers.get(userData.username);
+      const check = await verifyPassword(data.password, user.passwordHash);
+      if (!check.ok) {
+        accountError('delete account', 'That password is incorrect');
+        return;
+      }
+
+      deleteAccount(userData.username);
+      console.log(`${userData.username} deleted their account.`);
+    } catch (e) {
+      console.error(e);
+      accountError('delete account', 'Server error while deleting the account');
+    }
+  });
+
+  // PROFILES
+  socket.on('get profile', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    if (!registeredUsers.has(data.username)) {
+      socket.emit('error', { message: 'User not found' });
+      return;
+    }
+    socket.emit('profile', describeProfile(data.username));
+  });
+
+  socket.on('update profile', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const user = registeredUsers.get(userData.username);
+    user.profile = {
+      displayName: data.displayName || '',
+      pronouns: data.pronouns || '',
+      bio: data.bio || '',
+      links: data.links || []
+    };
+    saveUsers();
+    emitToUser(userData.username, 'profile updated', profileFields(user));
+  });
+
+  // BLOCKING (never announced to the blocked user)
+  socket.on('block user', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const { username } = data;
+    if (username === userData.username || !registeredUsers.has(username)) {
+      socket.emit('error', { message: 'User not found' });
+      return;
+    }
+    const user = registeredUsers.get(userData.username);
+    user.blocked = Array.from(new Set([...(user.blocked || []), username]));
+    saveUsers();
+    pendingInvites.delete(inviteKey(username, userData.username));
+    emitToUser(userData.username, 'blocked users', user.blocked);
+  });
+
+  socket.on('unblock user', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const user = registeredUsers.get(userData.username);
+    user.blocked = (user.blocked || []).filter(u => u !== data.username);
+    saveUsers();
+    emitToUser(userData.username, 'blocked users', user.blocked);
+  });
+
+  socket.on('list blocked', () => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    socket.emit('blocked users', registeredUsers.get(userData.username).blocked || []);
+  });
+
+  // Bind an authenticated user to this socket and send the initial state
+  function startUserSession(username, session) {
+    const user = registeredUsers.get(username);
+    if (connectedUsers.has(socket.id)) leaveChat();
+
+    // Other devices may already be signed in; only the first one counts as
+    // joining. Every device shares the same set of joined rooms.
+    const firstSocket = !isOnline(username);
+    if (firstSocket) {
+      const joined = new Set([DEFAULT_ROOM]);
+      for (const room of user.rooms || []) {
+        if (messageStore.getRoom(room)) joined.add(room);
+      }
+      userRooms.set(username, joined);
+    }
+    const rooms = userRooms.get(username);
+    connectedUsers.set(socket.id, {
+      username: username,
+      avatar: user.avatar,
+      socketId: socket.id,
+      sessionId: session.sessionId,
+      rooms,
+      joinTime: new Date()
+    });
+    if (firstSocket) userSockets.set(username, new Set());
+    userSockets.get(username).add(socket.id);
+    socket.join(userChannel(username));
+
+    socket.emit('login_success', {
+      username: username,
+      avatar: user.avatar,
+      role: getUserRole(username),
+      presence: getPresence(username),
+      profile: profileFields(user),
+      blocked: user.blocked || [],
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+
+    if (firstSocket && !isInvisible(username)) {
       io.emit('user joined', {
         username: username,
         avatar: user.avatar,
         timestamp: new Date().toISOString()
       });
+    }
 
-      broadcastUserCount();
+    broadcastUserCount();
 
-      pruneExpiredMessages();
-      const now = Date.now();
-      const recent24h = recentMessages.filter(m => {
-        const ts = new Date(m.timestamp).getTime();
-        return isFinite(ts) && now - ts <= MESSAGE_TTL_MS;
-      });
-      socket.emit('recent messages', recent24h);
+    const unread = deliverInbox(username);
+    if (unread && unread.count > 0) socket.emit('unread private messages', unread);
+    if (isModerator(username)) socket.emit('report count', { open: reportStore.getOpen().length });
 
-      console.log(`${username} logged in.`);
-    } catch (e) {
-      console.error(e);
-      socket.emit('login_error', { message: 'Server error during login' });
+    pruneExpiredMessages();
+    for (const room of rooms) {
+      socket.join(roomChannel(room));
+      socket.emit('recent messages', { room, ...getRoomHistoryPage(room) });
+      broadcastRoomUsers(room);
+    }
+    broadcastRoomList();
+  }
+
+  // Drop this socket from the online list; the user leaves with their last socket
+  function leaveChat() {
+    const user = connectedUsers.get(socket.id);
+    if (!user) return;
+    const username = user.username;
+    connectedUsers.delete(socket.id);
+    socket.leave(userChannel(username));
+    const sockets = userSockets.get(username);
+    if (sockets) sockets.delete(socket.id);
+    const lastSocket = !sockets || sockets.size === 0;
+    if (lastSocket) {
+      userSockets.delete(username);
+      userRooms.delete(username);
+    }
+    typingUsers.delete(username);
+    for (const room of user.rooms) {
+      socket.leave(roomChannel(room));
+      socket.to(roomChannel(room)).emit('stop typing', { username, room });
+      broadcastRoomUsers(room);
     }
-  });
+    if (lastSocket && !isInvisible(username)) {
+      const timestamp = new Date().toISOString();
+      const account = registeredUsers.get(username);
+      if (account) {
+        account.lastSeen = timestamp;
+        saveUsers();
+      }
+      io.emit('user left', { username, timestamp });
+    }
+    broadcastUserCount();
+    broadcastRoomList();
+    return username;
+  }
 
   // REGISTER
-  socket.on('register', (data) => {
+  socket.on('register', async (data) => {
     try {
       const { username, password, avatar } = data;
       if (!username || !password) {
@@ -284,13 +1615,14 @@ io.on("connection", (socket) => {
         return;
       }
 
+      const passwordHash = await hashPassword(password);
       if (registeredUsers.has(sanitizedUsername)) {
         socket.emit('register_error', { message: 'Username already taken' });
         return;
       }
 
       const newUser = {
-        passwordHash: hashPassword(password),
+        passwordHash,
         avatar: avatar || '😊',
         created: new Date().toISOString()
       };
@@ -309,28 +1641,61 @@ io.on("connection", (socket) => {
   // CHAT MESSAGE
   socket.on("chat message", (data) => {
     try {
-      if (!checkRateLimit(socket.id)) {
-        socket.emit('error', { message: 'Rate limit exceeded' });
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const username = userData.username;
+      const messageText = sanitizeMessage(data.message);
+      const attachment = resolveAttachment(data.attachment);
+      if (data.attachment && !attachment) {
+        rejectPayload('chat message', { code: ERROR_CODES.UNKNOWN_ATTACHMENT, field: 'attachment.id', message: 'That attachment is no longer available' });
+        return;
+      }
+      if (!messageText && !attachment) {
+        rejectPayload('chat message', { code: ERROR_CODES.MISSING_FIELD, field: 'message', message: 'message is required' });
         return;
       }
 
-      const userData = connectedUsers.get(socket.id);
-      const username = userData ? userData.username : 'Unknown';
-      const messageText = sanitizeMessage(data && data.message);
-      if (!messageText) return;
+      const room = (data && data.room) || DEFAULT_ROOM;
+      if (!userData.rooms.has(room)) {
+        socket.emit('error', { message: 'Join the room before posting in it' });
+        return;
+      }
+
+      if (rejectIfMuted(username)) return;
+
+      // Replies quote the stored message, not whatever the client claims it said
+      let replyTo = null;
+      if (data.replyTo) {
+        const original = messageStore.findMessage(data.replyTo.id);
+        if (!original || original.room !== room) {
+          rejectPayload('chat message', {
+            code: ERROR_CODES.UNKNOWN_REPLY_TARGET,
+            field: 'replyTo.id',
+            message: 'The message you replied to no longer exists'
+          });
+          return;
+        }
+        replyTo = { id: String(original.id), username: original.username, message: markdown.toPlainText(original.message).substring(0, 200) };
+      }
 
       const messageData = {
         id: String(Date.now() + Math.random()),
         username,
         message: messageText,
-        replyTo: data.replyTo || null,
+        replyTo,
         timestamp: new Date().toISOString(),
         reactions: {},
-        avatar: userData ? userData.avatar : '😊'
+        avatar: userData.avatar || '😊',
+        room
       };
+      if (data.action) messageData.action = true;
+      if (attachment) messageData.attachment = attachment;
+      const mentions = parseMentions(messageText);
+      if (mentions.length > 0) messageData.mentions = mentions;
 
       addMessageToHistory(messageData);
-      io.emit('chat message', messageData);
+      io.to(roomChannel(room)).emit('chat message', messageData);
+      notifyMentions(messageData, mentions);
     } catch (error) {
       console.error('Error handling chat message:', error);
     }
@@ -339,25 +1704,98 @@ io.on("connection", (socket) => {
   // REACTIONS
   socket.on('message reaction', (data) => {
     try {
-      const { messageId, reaction, username, action } = data || {};
-      if (!messageId || !reaction || !username || !action) return;
-      const ok = updateMessageReactions(messageId, reaction, username, action);
-      if (ok) {
-        io.emit('message reaction', { messageId, reaction, username, action });
-      }
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const username = userData.username;
+      const { messageId, reaction, action } = data || {};
+      if (!messageId || !reaction || !action) return;
+      // Only members of the message's room can see it, so only they may react
+      const message = messageStore.findMessage(messageId);
+      if (!message || !userData.rooms.has(message.room)) return;
+      updateMessageReactions(messageId, reaction, username, action);
+      io.to(roomChannel(message.room)).emit('message reaction', { messageId, reaction, username, action, room: message.room });
     } catch (error) {
       console.error('Error handling message reaction:', error);
     }
   });
 
+  // EDIT / DELETE MESSAGES
+  socket.on('edit message', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const messageId = data && data.messageId;
+      const messageText = sanitizeMessage(data && data.message);
+      if (!messageId || !messageText) return;
+
+      const message = messageStore.findMessage(messageId);
+      if (!message || !userData.rooms.has(message.room)) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+      if (message.username !== userData.username) {
+        socket.emit('error', { message: 'You can only edit your own messages' });
+        return;
+      }
+      if (message.message === messageText) return;
+
+      if (rejectIfMuted(userData.username)) return;
+
+      const editedAt = new Date().toISOString();
+      const editHistory = (message.editHistory || [])
+        .concat({ message: message.message, editedAt })
+        .slice(-MAX_EDIT_HISTORY);
+      const previousMentions = message.mentions || [];
+      const mentions = parseMentions(messageText);
+      messageStore.updateMessage(messageId, { message: messageText, editedAt, editHistory, mentions });
+
+      io.to(roomChannel(message.room)).emit('message edited', {
+        messageId: String(messageId),
+        message: messageText,
+        editedAt,
+        mentions,
+        room: message.room
+      });
+      notifyMentions(message, mentions.filter(u => !previousMentions.includes(u)));
+    } catch (error) {
+      console.error('Error handling edit message:', error);
+    }
+  });
+
+  socket.on('delete message', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const messageId = data && data.messageId;
+      const message = messageId ? messageStore.findMessage(messageId) : null;
+      if (!message) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+      const isOwn = message.username === userData.username;
+      if (!isOwn && !isModerator(userData.username)) {
+        socket.emit('error', { message: 'You can only delete your own messages' });
+        return;
+      }
+
+      messageStore.removeMessages([messageId]);
+      if (!isOwn) console.log(`${userData.username} deleted a message by ${message.username}`);
+      io.to(roomChannel(message.room)).emit('message deleted', [String(messageId)]);
+    } catch (error) {
+      console.error('Error handling delete message:', error);
+    }
+  });
+
   // TYPING
   socket.on('typing', (data) => {
     try {
       const userData = connectedUsers.get(socket.id);
       const username = userData ? userData.username : null;
       if (!username) return;
+      const room = (data && data.room) || DEFAULT_ROOM;
+      if (!userData.rooms.has(room)) return;
       typingUsers.set(username, socket.id);
-      socket.broadcast.emit('typing', { username });
+      socket.to(roomChannel(room)).emit('typing', { username, room });
     } catch (error) {
       console.error('Error handling typing:', error);
     }
@@ -368,111 +1806,633 @@ io.on("connection", (socket) => {
       const userData = connectedUsers.get(socket.id);
       const username = userData ? userData.username : null;
       if (!username) return;
+      const room = (data && data.room) || DEFAULT_ROOM;
+      if (!userData.rooms.has(room)) return;
       typingUsers.delete(username);
-      socket.broadcast.emit('stop typing', { username });
+      socket.to(roomChannel(room)).emit('stop typing', { username, room });
     } catch (error) {
       console.error('Error handling stop typing:', error);
     }
   });
 
-  // PRIVATE CHATS
-  socket.on('invite to private chat', (data) => {
+  // ROOMS
+  socket.on('list rooms', () => {
+    if (!connectedUsers.has(socket.id)) return;
+    socket.emit('room list', listRooms());
+  });
+
+  socket.on('create room', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+
+      const name = data.name;
+      if (messageStore.getRoom(name)) {
+        socket.emit('room error', { message: 'That room already exists' });
+        return;
+      }
+
+      const ttlHours = data.ttlHours || MESSAGE_TTL_MS / 3600000;
+
+      messageStore.createRoom({
+        name,
+        createdBy: userData.username,
+        created: new Date().toISOString(),
+        ttlMs: Math.round(ttlHours) * 3600000
+      });
+      console.log(`${userData.username} created room #${name}`);
+      joinRoom(userData, name);
+      broadcastRoomList();
+    } catch (e) { console.error(e); }
+  });
+
+  socket.on('join room', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const room = data && data.room;
+      if (!messageStore.getRoom(room)) {
+        socket.emit('room error', { message: 'Room not found' });
+        return;
+      }
+      joinRoom(userData, room);
+      broadcastRoomList();
+    } catch (e) { console.error(e); }
+  });
+
+  socket.on('leave room', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const room = data && data.room;
+      if (room === DEFAULT_ROOM) {
+        socket.emit('room error', { message: `You can't leave #${DEFAULT_ROOM}` });
+        return;
+      }
+      if (!userData.rooms.has(room)) return;
+
+      // Leaving applies to every device the user is signed in on
+      userData.rooms.delete(room);
+      saveUserRooms(userData.username);
+      io.in(userChannel(userData.username)).socketsLeave(roomChannel(room));
+      io.to(roomChannel(room)).emit('stop typing', { username: userData.username, room });
+      emitToUser(userData.username, 'room left', { room });
+      broadcastRoomUsers(room);
+      broadcastRoomList();
+    } catch (e) { console.error(e); }
+  });
+
+  // Joins the room on every device; only this one switches to it
+  function joinRoom(userData, room) {
+    const page = getRoomHistoryPage(room);
+    if (!userData.rooms.has(room)) {
+      userData.rooms.add(room);
+      saveUserRooms(userData.username);
+      socket.to(userChannel(userData.username)).emit('recent messages', { room, ...page });
+    }
+    io.in(userChannel(userData.username)).socketsJoin(roomChannel(room));
+    socket.emit('room joined', { room, ...page });
+    broadcastRoomUsers(room);
+  }
+
+  socket.on('load older messages', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    if (!userData.rooms.has(data.room)) {
+      socket.emit('room error', { message: 'Join the room to read its history' });
+      return;
+    }
+    const page = getRoomHistoryPage(data.room, data.before, data.limit || HISTORY_PAGE_SIZE, data.until);
+    socket.emit('older messages', { room: data.room, before: data.before, until: data.until, ...page });
+  });
+
+  // MENTIONS
+  socket.on('list users', () => {
+    socket.emit('user directory', Array.from(registeredUsers.keys()));
+  });
+
+  socket.on('list mentions', () => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const mentions = [];
+    for (const room of userData.rooms) {
+      for (const m of getRecentRoomMessages(room)) {
+        if (!m.mentions || !m.mentions.includes(userData.username) || m.username === userData.username) continue;
+        mentions.push({ id: m.id, room, username: m.username, avatar: m.avatar, message: m.message, attachment: m.attachment || null, timestamp: m.timestamp, replyTo: m.replyTo || null });
+      }
+    }
+    mentions.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    socket.emit('mention list', mentions.slice(0, MAX_MENTIONS_LISTED));
+  });
+
+  // SEARCH
+  socket.on('search messages', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      if (!data.query && !data.author) {
+        rejectPayload('search messages', { code: ERROR_CODES.MISSING_FIELD, field: 'query', message: 'Enter words to search for or an author' });
+        return;
+      }
+      socket.emit('search results', { ...data, ...searchMessages(userData, data) });
+    } catch (error) {
+      console.error('Error searching messages:', error);
+    }
+  });
+
+  // MODERATION
+  // Runs handler(staff, target) once the requester is allowed to act on target
+  function moderate(data, handler) {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      if (!isModerator(userData.username)) {
+        socket.emit('error', { message: 'Moderator permissions required' });
+        return;
+      }
+      const target = data && data.username;
+      if (!registeredUsers.has(target)) {
+        socket.emit('error', { message: 'User not found' });
+        return;
+      }
+      if (!canModerate(userData.username, target)) {
+        socket.emit('error', { message: `You can't moderate ${target}` });
+        return;
+      }
+      handler(userData.username, target);
+    } catch (e) { console.error(e); }
+  }
+
+  socket.on('kick user', (data) => {
+    moderate(data, (staff, target) => {
+      revokeUserSessions(target);
+      disconnectUser(target, 'kicked', { by: staff, reason: data.reason || '' });
+      announceModeration('kick', target, staff);
+      console.log(`${staff} kicked ${target}`);
+    });
+  });
+
+  socket.on('mute user', (data) => {
+    moderate(data, (staff, target) => {
+      const minutes = Math.round(Number(data.minutes));
+      if (!(minutes >= 1 && minutes <= MAX_MUTE_MINUTES)) {
+        socket.emit('error', { message: `Mute length must be between 1 and ${MAX_MUTE_MINUTES} minutes` });
+        return;
+      }
+      muteUser(staff, target, minutes);
+    });
+  });
+
+  socket.on('unmute user', (data) => {
+    moderate(data, (staff, target) => {
+      if (!mutedUsers.delete(target)) return;
+      saveModeration();
+      emitToUser(target, 'unmuted', { by: staff });
+      announceModeration('unmute', target, staff);
+    });
+  });
+
+  socket.on('ban user', (data) => {
+    moderate(data, (staff, target) => {
+      banUser(staff, target, sanitizeMessage(data.reason).substring(0, 200));
+    });
+  });
+
+  socket.on('unban user', (data) => {
+    moderate(data, (staff, target) => {
+      if (!bannedUsers.delete(target)) return;
+      saveModeration();
+      socket.emit('ban list', listBans());
+      announceModeration('unban', target, staff);
+      console.log(`${staff} unbanned ${target}`);
+    });
+  });
+
+  socket.on('list bans', () => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData || !isModerator(userData.username)) return;
+    socket.emit('ban list', listBans());
+  });
+
+  // REPORTS
+  socket.on('report message', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const { messageId, chatId } = data;
+      let message = null;
+      if (chatId) {
+        const chat = messageStore.getPrivateChat(chatId);
+        if (chat && chat.participants.has(userData.username)) {
+          message = visiblePrivateMessages(chat, userData.username).find(m => String(m.id) === String(messageId));
+        }
+      } else {
+        message = messageStore.findMessage(messageId);
+        if (message && !userData.rooms.has(message.room)) message = null;
+      }
+      if (!message || message.system) {
+        socket.emit('report error', { message: 'Message not found' });
+        return;
+      }
+      if (message.username === userData.username) {
+        socket.emit('report error', { message: "You can't report your own message" });
+        return;
+      }
+      if (reportStore.findOpen(messageId, userData.username)) {
+        socket.emit('report error', { message: "You've already reported this message" });
+        return;
+      }
+
+      reportStore.add({
+        id: crypto.randomBytes(8).toString('hex'),
+        messageId: String(messageId),
+        room: chatId ? null : message.room,
+        chatId: chatId || null,
+        snapshot: snapshotMessage(message),
+        reporter: userData.username,
+        reason: data.reason,
+        details: data.details || '',
+        createdAt: new Date().toISOString()
+      });
+      socket.emit('report submitted', { messageId: String(messageId) });
+      notifyModerators();
+      console.log(`${userData.username} reported a message by ${message.username}`);
+    } catch (e) { console.error(e); }
+  });
+
+  socket.on('list reports', () => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData || !isModerator(userData.username)) return;
+    socket.emit('report queue', describeReportQueue());
+  });
+
+  // Dismisses a report or acts on it; either way every open report on the
+  // same message is closed and the outcome goes to the audit log
+  socket.on('resolve report', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const staff = userData.username;
+      if (!isModerator(staff)) {
+        socket.emit('error', { message: 'Moderator permissions required' });
+        return;
+      }
+      const report = reportStore.get(data.reportId);
+      if (!report || report.resolution) {
+        socket.emit('report error', { message: 'That report has already been handled' });
+        return;
+      }
+
+      const { action } = data;
+      const author = report.snapshot.username;
+      if (action === 'mute' || action === 'ban') {
+        if (!registeredUsers.has(author)) {
+          socket.emit('report error', { message: 'User not found' });
+          return;
+        }
+        if (!canModerate(staff, author)) {
+          socket.emit('report error', { message: `You can't moderate ${author}` });
+          return;
+        }
+        if (action === 'mute' && !data.minutes) {
+          socket.emit('report error', { message: 'Choose how long to mute for' });
+          return;
+        }
+      }
+
+      const note = sanitizeMessage(data.note).substring(0, 200);
+      if (action === 'delete' && !removeReportedMessage(report)) {
+        socket.emit('report error', { message: 'That message is already gone' });
+        return;
+      }
+      if (action === 'mute') muteUser(staff, author, data.minutes);
+      if (action === 'ban') banUser(staff, author, note || `Reported for ${report.reason}`);
+
+      reportStore.resolve(report.id, {
+        action,
+        by: staff,
+        at: new Date().toISOString(),
+        ...(note ? { note } : {}),
+        ...(action === 'mute' ? { minutes: data.minutes } : {})
+      });
+      socket.emit('report queue', describeReportQueue());
+      notifyModerators();
+      console.log(`${staff} resolved a report on ${author}'s message: ${action}`);
+    } catch (e) { console.error(e); }
+  });
+
+  socket.on('set role', (data) => {
     try {
       const userData = connectedUsers.get(socket.id);
-      if (!userData) {
-        socket.emit('error', { message: 'User not found. Please refresh.' });
+      if (!userData) return;
+      if (getUserRole(userData.username) !== 'admin') {
+        socket.emit('error', { message: 'Admin permissions required' });
+        return;
+      }
+      const { username, role } = data || {};
+      const user = registeredUsers.get(username);
+      if (!user || ROLE_RANKS[role] === undefined || username === userData.username || ADMIN_USERS.has(username)) {
+        socket.emit('error', { message: 'Invalid role change' });
         return;
       }
+
+      user.role = role;
+      saveUsers();
+      emitToUser(username, 'role changed', { role });
+      broadcastUserCount();
+      console.log(`${userData.username} set ${username}'s role to ${role}`);
+    } catch (e) { console.error(e); }
+  });
+
+  // PRESENCE
+  socket.on('get online users', () => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const users = getOnlineUsers().filter(u => u.status !== 'invisible' || u.username === userData.username);
+    socket.emit('online users', users);
+  });
+
+  socket.on('set status', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const { status, text, emoji, expiresInMinutes } = data;
+    const custom = text || emoji ? {
+      text: text || '',
+      emoji: emoji || null,
+      expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60000).toISOString() : null
+    } : null;
+    setPresence(userData.username, { status, custom });
+    emitToUser(userData.username, 'status updated', getPresence(userData.username));
+  });
+
+  // Sent by the client after a stretch without input, and again on activity
+  socket.on('set idle', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData || Boolean(userData.idle) === data.idle) return;
+    userData.idle = data.idle;
+    broadcastUserCount();
+  });
+
+  // PRIVATE CHATS
+  socket.on('invite to private chat', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
       const { targetUsername } = data;
-      if (!targetUsername || targetUsername === userData.username) return;
+      if (targetUsername === userData.username) return;
 
-      const targetUser = Array.from(connectedUsers.values()).find(user => user.username === targetUsername);
-      if (!targetUser) {
+      if (!isVisiblyOnline(targetUsername)) {
         socket.emit('error', { message: 'User is not online' });
         return;
       }
+      if (hasBlocked(userData.username, targetUsername)) {
+        socket.emit('error', { message: `Unblock ${targetUsername} to chat with them` });
+        return;
+      }
 
-      const targetSocket = io.sockets.sockets.get(targetUser.socketId);
-      if (targetSocket) {
-        targetSocket.emit('private chat invite', {
-          fromUsername: userData.username,
-          timestamp: new Date().toISOString()
-        });
-        socket.emit('private chat invite sent', {
-          toUsername: targetUsername,
-          timestamp: new Date().toISOString()
-        });
+      // Invites from someone the target blocked look sent but never arrive
+      const timestamp = new Date().toISOString();
+      if (!hasBlocked(targetUsername, userData.username)) {
+        pendingInvites.add(inviteKey(userData.username, targetUsername));
+        emitToUser(targetUsername, 'private chat invite', { fromUsername: userData.username, timestamp });
       }
+      socket.emit('private chat invite sent', { toUsername: targetUsername, timestamp });
     } catch (e) { console.error(e); }
   });
 
   socket.on('accept private chat', (data) => {
-    // ... simplified existing logic ...
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const { fromUsername } = data;
+      if (!pendingInvites.delete(inviteKey(fromUsername, userData.username))) {
+        socket.emit('error', { message: 'That invite has expired' });
+        return;
+      }
+
+      const chatId = getOrCreatePrivateChat(userData.username, fromUsername);
+      emitToUser(fromUsername, 'private chat accepted', { byUsername: userData.username, chatId });
+      emitPrivateChatHistory(chatId);
+    } catch (e) { console.error(e); }
+  });
+
+  socket.on('decline private chat', (data) => {
     const userData = connectedUsers.get(socket.id);
     if (!userData) return;
     const { fromUsername } = data;
-    const chatId = getOrCreatePrivateChat(userData.username, fromUsername);
+    if (!pendingInvites.delete(inviteKey(fromUsername, userData.username))) return;
+    emitToUser(fromUsername, 'private chat declined', { byUsername: userData.username });
+  });
 
-    const senderUser = Array.from(connectedUsers.values()).find(user => user.username === fromUsername);
-    if (senderUser) {
-      const senderSocket = io.sockets.sockets.get(senderUser.socketId);
-      if (senderSocket) {
-        senderSocket.emit('private chat accepted', { byUsername: userData.username, chatId });
-      }
-    }
+  socket.on('list private chats', () => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    socket.emit('private chats', listPrivateChats(userData.username));
+  });
 
-    const chat = privateChats.get(chatId);
-    if (chat && chat.messages) {
-      socket.emit('private chat history', { chatId, messages: chat.messages });
-      if (senderUser) {
-        const senderSocket = io.sockets.sockets.get(senderUser.socketId);
-        if (senderSocket) senderSocket.emit('private chat history', { chatId, messages: chat.messages });
-      }
+  socket.on('get private chat history', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const chat = messageStore.getPrivateChat(data.chatId);
+    if (!chat || !chat.participants.has(userData.username)) {
+      socket.emit('error', { message: 'Private chat not found' });
+      return;
     }
+    socket.emit('private chat history', { ...describePrivateChat(chat), messages: visiblePrivateMessages(chat, userData.username) });
   });
 
   socket.on('private message', (data) => {
     const userData = connectedUsers.get(socket.id);
     if (!userData) return;
-    const { chatId, message, toUsername } = data;
-    // ... logic ...
+    const { chatId, message } = data;
+    if (rejectIfMuted(userData.username)) return;
+
+    // Only participants may post, and the recipients come from the chat, not the payload
+    const chat = messageStore.getPrivateChat(chatId);
+    if (!chat || !chat.participants.has(userData.username)) {
+      socket.emit('error', { message: 'You are not part of that private chat' });
+      return;
+    }
+    const recipients = Array.from(chat.participants).filter(u => u !== userData.username);
+    if (recipients.length === 0) {
+      socket.emit('error', { message: 'Nobody else is left in this chat' });
+      return;
+    }
+    // Anyone who blocked the sender silently never gets it; to the sender it
+    // just stays undelivered to them
+    const hiddenFrom = recipients.filter(u => hasBlocked(u, userData.username));
+    const deliverable = recipients.filter(u => !hiddenFrom.includes(u));
+
+    const attachment = resolveAttachment(data.attachment);
+    if (data.attachment && !attachment) {
+      rejectPayload('private message', { code: ERROR_CODES.UNKNOWN_ATTACHMENT, field: 'attachment.id', message: 'That attachment is no longer available' });
+      return;
+    }
+    if (!sanitizeMessage(message) && !attachment) {
+      rejectPayload('private message', { code: ERROR_CODES.MISSING_FIELD, field: 'message', message: 'message is required' });
+      return;
+    }
     const msgData = {
-      id: String(Date.now()),
+      id: String(Date.now() + Math.random()),
       username: userData.username,
+      avatar: userData.avatar,
       message: sanitizeMessage(message),
       timestamp: new Date().toISOString(),
       isPrivate: true,
-      chatId
+      chatId,
+      recipients
     };
+    if (!chat.group) msgData.toUsername = recipients[0];
+    if (hiddenFrom.length > 0) msgData.hiddenFrom = hiddenFrom;
+    if (attachment) msgData.attachment = attachment;
+
+    // Offline recipients get it from their inbox on the next login. Invisible
+    // ones see it live but it only counts as delivered once they show up.
+    const online = deliverable.filter(isVisiblyOnline);
+    msgData.deliveredTo = online;
+    msgData.deliveredAt = online.length === recipients.length ? msgData.timestamp : null;
+    msgData.readBy = [];
+    msgData.readAt = null;
     addPrivateMessageToHistory(chatId, msgData);
+    for (const username of deliverable) {
+      if (!online.includes(username)) messageStore.queueInbox(username, chatId, msgData.id);
+    }
+
+    emitToParticipants(chat, 'private message', msgData);
+  });
+
+  socket.on('mark private chat read', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const chat = messageStore.getPrivateChat(data.chatId);
+    if (!chat || !chat.participants.has(userData.username)) return;
+
+    const unread = chat.messages.filter(m => isUnreadFor(m, userData.username));
+    if (unread.length > 0) markPrivateMessages(chat, unread, userData.username, 'read');
+    // The user's other devices can clear their unread badge too
+    socket.to(userChannel(userData.username)).emit('private chat read', { chatId: chat.id });
+  });
+
+  // GROUP CHATS
+  function getOwnedGroup(chatId, userData) {
+    const chat = messageStore.getPrivateChat(chatId);
+    if (!chat || !chat.group || !chat.participants.has(userData.username)) {
+      socket.emit('error', { message: 'Group chat not found' });
+      return null;
+    }
+    if (chat.owner !== userData.username) {
+      socket.emit('error', { message: 'Only the group owner can do that' });
+      return null;
+    }
+    return chat;
+  }
 
-    const targetUser = Array.from(connectedUsers.values()).find(u => u.username === toUsername);
-    if (targetUser) {
-      const s = io.sockets.sockets.get(targetUser.socketId);
-      if (s) s.emit('private message', msgData);
+  socket.on('create group chat', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    if (rejectIfMuted(userData.username)) return;
+    let members = Array.from(new Set(data.members || [])).filter(u => u !== userData.username);
+    const unknown = members.find(u => !registeredUsers.has(u));
+    if (unknown) {
+      socket.emit('error', { message: `No user named ${unknown}` });
+      return;
+    }
+    // People who blocked the creator are quietly left out
+    members = members.filter(u => !hasBlocked(u, userData.username));
+
+    const chat = createGroupChat(userData.username, data.name, members);
+    addGroupSystemMessage(chat, `${userData.username} created the group${members.length ? ` with ${members.join(', ')}` : ''}`);
+    emitPrivateChatHistory(chat.id);
+  });
+
+  socket.on('rename group chat', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    if (rejectIfMuted(userData.username)) return;
+    const chat = getOwnedGroup(data.chatId, userData);
+    if (!chat) return;
+
+    messageStore.updatePrivateChat(chat.id, { name: data.name });
+    emitToParticipants(chat, 'private chat updated', describePrivateChat(chat));
+    addGroupSystemMessage(chat, `${userData.username} renamed the group to ${chat.name}`);
+  });
+
+  socket.on('add group member', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const chat = getOwnedGroup(data.chatId, userData);
+    if (!chat) return;
+    const { username } = data;
+    if (!registeredUsers.has(username)) {
+      socket.emit('error', { message: `No user named ${username}` });
+      return;
+    }
+    // Adding someone who blocked you quietly does nothing
+    if (chat.participants.has(username) || hasBlocked(username, userData.username)) return;
+    if (chat.participants.size >= MAX_GROUP_MEMBERS) {
+      socket.emit('error', { message: `Group chats can have at most ${MAX_GROUP_MEMBERS} members` });
+      return;
+    }
+
+    messageStore.updatePrivateChat(chat.id, { participants: [...chat.participants, username] });
+    addGroupSystemMessage(chat, `${userData.username} added ${username}`);
+    emitToParticipants(chat, 'private chat updated', describePrivateChat(chat));
+    emitPrivateChatHistory(chat.id, [username]);
+  });
+
+  socket.on('remove group member', (data) => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    const { username } = data;
+    const leaving = username === userData.username;
+    const chat = leaving ? messageStore.getPrivateChat(data.chatId) : getOwnedGroup(data.chatId, userData);
+    if (!chat || !chat.group || !chat.participants.has(username)) return;
+
+    const participants = Array.from(chat.participants).filter(u => u !== username);
+    const changes = { participants };
+    // The longest-standing member takes over from an owner who leaves
+    if (chat.owner === username) changes.owner = participants[0] || null;
+    messageStore.updatePrivateChat(chat.id, changes);
+
+    emitToUser(username, 'private chat removed', { chatId: chat.id });
+    addGroupSystemMessage(chat, leaving ? `${username} left the group` : `${userData.username} removed ${username}`);
+    emitToParticipants(chat, 'private chat updated', describePrivateChat(chat));
+  });
+
+  // SLASH COMMANDS
+  socket.on('list commands', () => {
+    const userData = connectedUsers.get(socket.id);
+    if (!userData) return;
+    socket.emit('command list', commands.list(getUserRole(userData.username)));
+  });
+
+  socket.on('command', (data) => {
+    try {
+      const userData = connectedUsers.get(socket.id);
+      if (!userData) return;
+      const room = data.room || DEFAULT_ROOM;
+      const result = commands.execute(data.text, getUserRole(userData.username), { socket, userData, room, dispatch });
+      if (result.message) socket.emit('command result', { ok: result.ok, message: result.message, room });
+    } catch (error) {
+      console.error('Error handling command:', error);
     }
-    socket.emit('private message', msgData);
   });
 
   // DISCONNECT
   socket.on("disconnect", (reason) => {
     try {
-      const user = connectedUsers.get(socket.id);
-      if (user) {
-        const username = user.username;
-        connectedUsers.delete(socket.id);
-        typingUsers.delete(username);
-        io.emit('user left', { username, timestamp: new Date().toISOString() });
-        broadcastUserCount();
-        console.log(`${username} disconnected.`);
-      }
+      const username = leaveChat();
+      if (username) console.log(`${username} disconnected.`);
     } catch (error) {
       console.error('Error during disconnect cleanup:', error);
     }
   });
 });
 
-setInterval(cleanupRateLimits, 300000);
+setInterval(() => rateLimiter.cleanup(), 300000);
+setInterval(() => loginGuard.cleanup(), 300000);
+setInterval(cleanupSessions, 3600000);
+setInterval(clearExpiredStatuses, 60000);
 setInterval(() => {
   try { pruneExpiredMessages(); } catch (e) { }
 }, 300000);
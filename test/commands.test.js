@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandRegistry } = require('../commands');
+
+function registry() {
+  const commands = new CommandRegistry({ roleRanks: { member: 0, moderator: 1, admin: 2 } });
+  commands.register('msg', {
+    description: 'Send a private message',
+    args: [{ name: 'username', required: true }, { name: 'message', required: true, rest: true }],
+    aliases: ['w'],
+    handler: (args) => `to ${args.username}: ${args.message}`
+  });
+  commands.register('leave', { description: 'Leave a room', args: [{ name: 'room' }], handler: () => { } });
+  commands.register('ban', {
+    description: 'Ban a user',
+    args: [{ name: 'username', required: true }],
+    minRole: 'moderator',
+    handler: () => 'banned'
+  });
+  return commands;
+}
+
+test('parses positional and rest arguments', () => {
+  const { command, args } = registry().parse('/msg bob  see you   later ');
+  assert.equal(command.name, 'msg');
+  assert.deepEqual(args, { username: 'bob', message: 'see you later' });
+});
+
+test('resolves aliases and ignores case', () => {
+  assert.equal(registry().parse('/W bob hi').command.name, 'msg');
+});
+
+test('optional arguments may be left out', () => {
+  assert.deepEqual(registry().parse('/leave').args, {});
+});
+
+test('reports usage for missing or extra arguments', () => {
+  assert.equal(registry().parse('/msg bob').error, 'Usage: /msg <username> <message>');
+  assert.equal(registry().parse('/leave dev extra').error, 'Usage: /leave [room]');
+});
+
+test('rejects unknown commands and text without a slash', () => {
+  assert.match(registry().parse('/dance').error, /^Unknown command \/dance/);
+  assert.equal(registry().parse('hello').error, 'Commands start with / followed by a name');
+});
+
+test('checks the role before running the handler', () => {
+  const commands = registry();
+  assert.deepEqual(commands.execute('/ban bob', 'member', {}), { ok: false, message: '/ban requires the moderator role' });
+  assert.deepEqual(commands.execute('/ban bob', 'admin', {}), { ok: true, message: 'banned' });
+  assert.deepEqual(commands.list('member').map(c => c.name), ['msg', 'leave']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LoginGuard } = require('../loginGuard');
+
+const OPTIONS = { freeAttempts: 2, baseDelayMs: 1000, maxDelayMs: 4000, lockoutThreshold: 5, lockoutMs: 60000, ipMultiplier: 2 };
+
+function fail(guard, times, now, username = 'alice', ip = '10.0.0.1') {
+  let result;
+  for (let i = 0; i < times; i++) result = guard.recordFailure(username, ip, 'bad password', now);
+  return result;
+}
+
+test('free attempts, then a doubling wait', () => {
+  const guard = new LoginGuard(null, OPTIONS);
+  assert.deepEqual(fail(guard, 2, 0), { ok: true });
+  assert.deepEqual(fail(guard, 1, 0), { ok: false, locked: false, retryAt: 1000 });
+  assert.deepEqual(fail(guard, 1, 1000), { ok: false, locked: false, retryAt: 3000 });
+  assert.equal(guard.check('alice', '10.0.0.1', 3000).ok, true);
+});
+
+test('locks the username out at the threshold', () => {
+  const guard = new LoginGuard(null, OPTIONS);
+  const result = fail(guard, 5, 0);
+  assert.deepEqual(result, { ok: false, locked: true, retryAt: 60000 });
+  assert.equal(guard.check('alice', '10.0.0.2', 30000).locked, true);
+  assert.equal(guard.check('alice', '10.0.0.2', 60000).ok, true);
+});
+
+test('usernames are matched case-insensitively', () => {
+  const guard = new LoginGuard(null, OPTIONS);
+  fail(guard, 3, 0, 'Alice', null);
+  assert.equal(guard.check('alice', null, 0).ok, false);
+});
+
+test('a success clears the username but not the IP', () => {
+  const guard = new LoginGuard(null, OPTIONS);
+  fail(guard, 4, 0, 'alice');
+  guard.recordSuccess('alice', '10.0.0.1', 0);
+  assert.equal(guard.check('alice', null, 0).ok, true);
+  assert.equal(guard.check('bob', '10.0.0.1', 0).ok, true);
+  fail(guard, 1, 0, 'bob');
+  assert.equal(guard.check('carol', '10.0.0.1', 0).ok, false);
+});
+
+test('checks in progress count against the free attempts', () => {
+  const guard = new LoginGuard(null, OPTIONS);
+  guard.begin('alice', '10.0.0.1');
+  assert.equal(guard.check('alice', '10.0.0.1', 0).ok, true);
+  guard.begin('alice', '10.0.0.1');
+  assert.deepEqual(guard.check('alice', '10.0.0.1', 0), { ok: false, locked: false, retryAt: 1000 });
+  guard.finish('alice', '10.0.0.1');
+  guard.finish('alice', '10.0.0.1');
+  assert.equal(guard.check('alice', '10.0.0.1', 0).ok, true);
+  assert.equal(guard.pending.size, 0);
+});
+
+test('replays the audit trail and drops entries past retention', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-guard-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'login-audit.jsonl');
+  const now = Date.now();
+  const old = new Date(now - 2 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(filePath, JSON.stringify({ type: 'failure', username: 'bob', ip: null, reason: 'bad password', at: old }) + '\n');
+
+  const guard = new LoginGuard(filePath, { ...OPTIONS, retentionMs: 24 * 60 * 60 * 1000 });
+  fail(guard, 3, now, 'alice', null);
+
+  const reloaded = new LoginGuard(filePath, OPTIONS);
+  assert.equal(reloaded.check('alice', null, now).ok, false);
+  const entries = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(entries.map(e => e.username), ['alice', 'alice', 'alice']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const markdown = require('../markdown');
+
+test('renders the supported subset', () => {
+  assert.equal(markdown.render('**bold** *it* _it_ ~~gone~~ `code`'),
+    '<strong>bold</strong> <em>it</em> <em>it</em> <del>gone</del> <code>code</code>');
+  assert.equal(markdown.render('> quoted\nplain'), '<blockquote>quoted</blockquote>plain');
+  assert.equal(markdown.render('```\n**not bold**\n```'), '<pre><code>**not bold**</code></pre>');
+});
+
+test('escapes raw HTML instead of rendering it', () => {
+  assert.equal(markdown.render('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+  assert.equal(markdown.render('`<script>`'), '<code>&lt;script&gt;</code>');
+  assert.equal(markdown.render('```\n</code><script>alert(1)</script>\n```'),
+    '<pre><code>&lt;/code&gt;&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>');
+});
+
+test('links only http(s) URLs and keeps them inside the attribute', () => {
+  assert.equal(markdown.render('see https://example.com/a?b=1&c=2.'),
+    'see <a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">https://example.com/a?b=1&amp;c=2</a>.');
+  assert.equal(markdown.render('https://example.com/"onmouseover="alert(1)'),
+    '<a href="https://example.com/" target="_blank" rel="noopener noreferrer">https://example.com/</a>&quot;onmouseover=&quot;alert(1)');
+  assert.equal(markdown.render('javascript:alert(1)'), 'javascript:alert(1)');
+});
+
+test('escapeHtml covers quotes for attribute values', () => {
+  assert.equal(markdown.escapeHtml(`<a href="x" title='y'>&</a>`),
+    '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+});
+
+test('placeholder characters in the input cannot inject stored tokens', () => {
+  assert.equal(markdown.render('`a` \u00000\u0000'), '<code>a</code> 0');
+});
+
+test('highlights only the mentions it is given', () => {
+  assert.equal(markdown.render('hi @alice and @bob', { mentions: ['alice'], currentUser: 'alice' }),
+    'hi <span class="mention mention-me">@alice</span> and @bob');
+});
+
+test('extracts mentions outside code, once each', () => {
+  assert.deepEqual(markdown.extractMentions('@alice `@bob` email@example.com @alice @carol'), ['alice', 'carol']);
+});
+
+test('strips formatting for plain text previews', () => {
+  assert.equal(markdown.toPlainText('> **hey** `there`\n_you_'), 'hey there you');
+});
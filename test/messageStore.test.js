@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryMessageStore, FileMessageStore } = require('../messageStore');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-store-'));
+let files = 0;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function tempFile() {
+  return path.join(dir, `messages-${++files}.jsonl`);
+}
+
+function journalLines(filePath) {
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+}
+
+test('memory store keeps rooms to their history limit', () => {
+  const store = new MemoryMessageStore({ maxMessages: 2 });
+  for (const id of ['1', '2', '3']) store.addMessage({ id, message: `m${id}` });
+  assert.deepEqual(store.getMessages('general').map(m => m.id), ['2', '3']);
+  assert.equal(store.findMessage('1'), null);
+  assert.equal(store.findMessage(3).message, 'm3');
+});
+
+test('file store replays rooms, edits, removals and private chats', () => {
+  const filePath = tempFile();
+  const store = new FileMessageStore(filePath);
+  store.createRoom({ name: 'dev', createdBy: 'alice', created: '2024-01-01T00:00:00.000Z', ttlMs: 3600000 });
+  store.addMessage({ id: '1', room: 'dev', username: 'alice', message: 'hello' });
+  store.addMessage({ id: '2', room: 'dev', username: 'bob', message: 'hi' });
+  store.updateMessage('1', { message: 'hello there' });
+  store.removeMessages(['2']);
+  store.createPrivateChat('pc_alice_bob', ['alice', 'bob']);
+  store.addPrivateMessage('pc_alice_bob', { id: '3', username: 'alice', message: 'psst' });
+  store.queueInbox('bob', 'pc_alice_bob', '3');
+
+  const reloaded = new FileMessageStore(filePath);
+  assert.equal(reloaded.getRoom('dev').createdBy, 'alice');
+  assert.deepEqual(reloaded.getMessages('dev').map(m => m.message), ['hello there']);
+  const chat = reloaded.getPrivateChat('pc_alice_bob');
+  assert.deepEqual(Array.from(chat.participants), ['alice', 'bob']);
+  assert.deepEqual(chat.messages.map(m => m.message), ['psst']);
+  assert.deepEqual(reloaded.getInbox('bob'), [{ chatId: 'pc_alice_bob', messageId: '3' }]);
+});
+
+test('file store compacts the journal down to what survived', () => {
+  const filePath = tempFile();
+  const store = new FileMessageStore(filePath);
+  store.addMessage({ id: '1', message: 'one' });
+  store.addMessage({ id: '2', message: 'two' });
+  store.updateMessage('2', { message: 'two, edited' });
+  store.removeMessages(['1']);
+  store.queueInbox('bob', 'pc_alice_bob', '9');
+  store.clearInbox('bob');
+  assert.equal(journalLines(filePath).length, 6);
+
+  new FileMessageStore(filePath);
+  const entries = journalLines(filePath).map(line => JSON.parse(line));
+  assert.deepEqual(entries, [{ type: 'message', message: { id: '2', message: 'two, edited', room: 'general' } }]);
+});
+
+test('file store skips corrupt journal lines', (t) => {
+  t.mock.method(console, 'error', () => { });
+  const filePath = tempFile();
+  new FileMessageStore(filePath).addMessage({ id: '1', message: 'kept' });
+  fs.appendFileSync(filePath, '{"type":"message","mess\n');
+
+  const reloaded = new FileMessageStore(filePath);
+  assert.deepEqual(reloaded.getMessages().map(m => m.message), ['kept']);
+  assert.equal(journalLines(filePath).length, 1);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, parseBudgets } = require('../rateLimiter');
+
+test('parses budget overrides and skips bad entries', () => {
+  assert.deepEqual(parseBudgets('chat message=20/60, typing = 30 / 10, bad, zero=0/5'), {
+    'chat message': { limit: 20, perSeconds: 60 },
+    typing: { limit: 30, perSeconds: 10 }
+  });
+});
+
+test('runs out after the limit and refills over time', () => {
+  const limiter = new RateLimiter({ budgets: { ping: { limit: 2, perSeconds: 10 } } });
+  assert.equal(limiter.take('ping', { user: 'alice' }, 0).ok, true);
+  assert.equal(limiter.take('ping', { user: 'alice' }, 0).ok, true);
+  assert.deepEqual(limiter.take('ping', { user: 'alice' }, 0), { ok: false, retryAfter: 5 });
+  assert.equal(limiter.take('ping', { user: 'alice' }, 5000).ok, true);
+});
+
+test('keeps a bucket per user and a larger one per IP', () => {
+  const limiter = new RateLimiter({ budgets: { ping: { limit: 1, perSeconds: 60 } }, ipMultiplier: 2 });
+  assert.equal(limiter.take('ping', { user: 'alice', ip: '10.0.0.1' }, 0).ok, true);
+  assert.equal(limiter.take('ping', { user: 'alice', ip: '10.0.0.1' }, 0).ok, false);
+  assert.equal(limiter.take('ping', { user: 'bob', ip: '10.0.0.1' }, 0).ok, true);
+  assert.equal(limiter.take('ping', { user: 'carol', ip: '10.0.0.1' }, 0).ok, false);
+});
+
+test('a rejected event spends nothing', () => {
+  const limiter = new RateLimiter({ budgets: { ping: { limit: 1, perSeconds: 60 } }, ipMultiplier: 2 });
+  limiter.take('ping', { user: 'alice', ip: '10.0.0.1' }, 0);
+  limiter.take('ping', { user: 'alice', ip: '10.0.0.1' }, 0);
+  assert.equal(limiter.take('ping', { user: 'bob', ip: '10.0.0.1' }, 0).ok, true);
+});
+
+test('events without a budget share the default one', () => {
+  const limiter = new RateLimiter({ budgets: { default: { limit: 1, perSeconds: 60 } } });
+  assert.equal(limiter.take('list rooms', { user: 'alice' }, 0).ok, true);
+  assert.equal(limiter.take('list users', { user: 'alice' }, 0).ok, false);
+});
+
+test('cleanup forgets full buckets only', () => {
+  const limiter = new RateLimiter({ budgets: { ping: { limit: 2, perSeconds: 10 } } });
+  limiter.take('ping', { user: 'alice' }, 0);
+  limiter.cleanup(1000);
+  assert.equal(limiter.buckets.size, 1);
+  limiter.cleanup(5000);
+  assert.equal(limiter.buckets.size, 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload, ERROR_CODES } = require('../validation');
+
+test('strips unknown fields and trims strings', () => {
+  const result = validatePayload('join room', { room: '  dev-team ', admin: true });
+  assert.deepEqual(result, { ok: true, value: { room: 'dev-team' } });
+});
+
+test('leaves passwords untrimmed', () => {
+  const result = validatePayload('login', { username: 'alice', password: ' secret ' });
+  assert.equal(result.value.password, ' secret ');
+});
+
+test('rejects unknown events and non-object payloads', () => {
+  assert.equal(validatePayload('drop tables', {}).error.code, ERROR_CODES.UNKNOWN_EVENT);
+  assert.equal(validatePayload('join room', 'dev').error.code, ERROR_CODES.INVALID_PAYLOAD);
+});
+
+test('reports the first failing field with its code', () => {
+  const cases = [
+    ['join room', {}, ERROR_CODES.MISSING_FIELD, 'room'],
+    ['join room', { room: 42 }, ERROR_CODES.WRONG_TYPE, 'room'],
+    ['join room', { room: 'Dev Team' }, ERROR_CODES.INVALID_FORMAT, 'room'],
+    ['chat message', { message: 'x'.repeat(501) }, ERROR_CODES.TOO_LONG, 'message'],
+    ['create room', { name: 'dev', ttlHours: 0 }, ERROR_CODES.OUT_OF_RANGE, 'ttlHours'],
+    ['message reaction', { messageId: '1', reaction: '🍕', action: 'add' }, ERROR_CODES.NOT_ALLOWED, 'reaction'],
+    ['chat message', { message: 'hi', replyTo: {} }, ERROR_CODES.MISSING_FIELD, 'replyTo.id'],
+    ['create group chat', { name: 'g', members: ['a', 7] }, ERROR_CODES.WRONG_TYPE, 'members.1']
+  ];
+  for (const [event, data, code, field] of cases) {
+    const { error } = validatePayload(event, data);
+    assert.deepEqual([error.code, error.field], [code, field], `${event} ${JSON.stringify(data)}`);
+  }
+});
+
+test('events without a payload accept anything', () => {
+  assert.deepEqual(validatePayload('list rooms', { anything: 1 }), { ok: true, value: undefined });
+});
+
+test('profile links must be plain http(s) URLs', () => {
+  const links = list => validatePayload('update profile', { links: list });
+  assert.equal(links(['https://example.com/me', 'http://example.org']).ok, true);
+  for (const bad of [
+    'javascript:alert(1)',
+    'ftp://example.com',
+    'https://example.com/"onmouseover="alert(1)',
+    "https://example.com/'x",
+    'https://example.com/<script>',
+    'https://'
+  ]) {
+    assert.equal(links([bad]).error.code, ERROR_CODES.INVALID_FORMAT, bad);
+  }
+  assert.equal(links(['https://a.com', 'https://b.com', 'https://c.com', 'https://d.com']).error.code, ERROR_CODES.TOO_MANY);
+});
@@ -0,0 +1,306 @@
+// Declarative payload schemas for every socket event the server accepts.
+// A field spec supports: type, required, minLength, maxLength, pattern,
+// enum, min, max, integer, format ('date' for anything Date.parse accepts,
+// 'url' for absolute http(s) URLs), properties (for nested objects), items
+// and maxItems (for arrays) and trim (strings are trimmed unless trim is false).
+
+const AVATARS = ['😊', '😎', '👻', '👾', '🤖', '👽', '💀', '🤡', '👹', '👺', '💩', '😺', '😸', '😹', '😻', '😼'];
+const REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '😡', '👏', '😒', '💀'];
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,23}$/;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_ROOM_TTL_HOURS = 7 * 24;
+const ATTACHMENT_ID_PATTERN = /^[a-f0-9]{64}$/; // SHA-256 of the file contents
+const MAX_GROUP_MEMBERS = 10;
+const STATUSES = ['online', 'away', 'busy', 'invisible'];
+const MAX_STATUS_MINUTES = 7 * 24 * 60;
+const MAX_PROFILE_LINKS = 3;
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'inappropriate', 'other'];
+const REPORT_ACTIONS = ['dismiss', 'delete', 'mute', 'ban'];
+
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'invalid_payload',
+  UNKNOWN_EVENT: 'unknown_event',
+  MISSING_FIELD: 'missing_field',
+  WRONG_TYPE: 'wrong_type',
+  TOO_SHORT: 'too_short',
+  TOO_LONG: 'too_long',
+  TOO_MANY: 'too_many',
+  OUT_OF_RANGE: 'out_of_range',
+  INVALID_FORMAT: 'invalid_format',
+  NOT_ALLOWED: 'not_allowed',
+  UNKNOWN_REPLY_TARGET: 'unknown_reply_target',
+  UNKNOWN_ATTACHMENT: 'unknown_attachment'
+};
+
+const username = { type: 'string', required: true, minLength: 1, maxLength: 20 };
+const password = { type: 'string', required: true, minLength: 1, maxLength: 128, trim: false };
+const newPassword = { ...password, minLength: 4 };
+const messageId = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+const messageText = { type: 'string', required: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH };
+const room = { type: 'string', pattern: ROOM_NAME_PATTERN, patternMessage: 'Room names are 2-24 lowercase letters, numbers or dashes' };
+const reason = { type: 'string', maxLength: 200 };
+const chatId = { type: 'string', required: true, maxLength: 100 };
+const groupName = { type: 'string', required: true, minLength: 1, maxLength: 40 };
+// Messages carrying an attachment may leave the text empty
+const attachment = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true, pattern: ATTACHMENT_ID_PATTERN, patternMessage: 'Unknown attachment' },
+    name: { type: 'string', maxLength: 100 }
+  }
+};
+
+// null means the event takes no payload
+const schemas = {
+  'login': {
+    username,
+    password
+  },
+  'register': {
+    username: {
+      type: 'string', required: true, minLength: 3, maxLength: 20,
+      pattern: /^[a-zA-Z0-9_]+$/, patternMessage: 'Username can only contain letters, numbers, and underscores'
+    },
+    password: newPassword,
+    avatar: { type: 'string', enum: AVATARS }
+  },
+  'resume': { token: { type: 'string', required: true, maxLength: 2048 } },
+  'refresh session': null,
+  'logout': null,
+  'change password': { currentPassword: password, newPassword },
+  'change avatar': { avatar: { type: 'string', required: true, enum: AVATARS } },
+  'delete account': { password },
+  'get profile': { username },
+  'block user': { username },
+  'unblock user': { username },
+  'list blocked': null,
+  // Saving a profile replaces it; left out fields are cleared
+  'update profile': {
+    displayName: { type: 'string', maxLength: 40 },
+    pronouns: { type: 'string', maxLength: 30 },
+    bio: { type: 'string', maxLength: 300 },
+    links: {
+      type: 'array',
+      maxItems: MAX_PROFILE_LINKS,
+      items: {
+        type: 'string', maxLength: 200, format: 'url',
+        pattern: /^https?:\/\/[^\s"'<>]+$/i, patternMessage: "Links must start with http:// or https:// and can't contain quotes or angle brackets"
+      }
+    }
+  },
+  'get online users': null,
+  'set status': {
+    status: { type: 'string', required: true, enum: STATUSES },
+    text: { type: 'string', maxLength: 100 }, // custom status line
+    emoji: { type: 'string', maxLength: 16 },
+    expiresInMinutes: { type: 'number', integer: true, min: 1, max: MAX_STATUS_MINUTES }
+  },
+  'set idle': { idle: { type: 'boolean', required: true } },
+
+  'chat message': {
+    message: { ...messageText, required: false },
+    attachment,
+    room,
+    replyTo: { type: 'object', properties: { id: messageId } },
+    action: { type: 'boolean' }
+  },
+  'message reaction': {
+    messageId,
+    reaction: { type: 'string', required: true, enum: REACTIONS },
+    action: { type: 'string', required: true, enum: ['add', 'remove'] }
+  },
+  'edit message': { messageId, message: messageText },
+  'delete message': { messageId },
+  'typing': { room },
+  'stop typing': { room },
+
+  'list rooms': null,
+  'create room': {
+    name: { ...room, required: true },
+    ttlHours: { type: 'number', min: 1, max: MAX_ROOM_TTL_HOURS }
+  },
+  'join room': { room: { ...room, required: true } },
+  'leave room': { room: { ...room, required: true } },
+  'load older messages': {
+    room: { ...room, required: true },
+    before: messageId,
+    until: { ...messageId, required: false }, // keep going back until this message is included
+    limit: { type: 'number', integer: true, min: 1, max: 100 }
+  },
+  'search messages': {
+    query: { type: 'string', maxLength: 100 },
+    author: { ...username, required: false },
+    from: { type: 'string', maxLength: 40, format: 'date' },
+    to: { type: 'string', maxLength: 40, format: 'date' },
+    hasReply: { type: 'boolean' } // only messages someone replied to
+  },
+
+  'kick user': { username, reason },
+  'mute user': { username, minutes: { type: 'number', required: true, integer: true, min: 1, max: 7 * 24 * 60 } },
+  'unmute user': { username },
+  'ban user': { username, reason },
+  'unban user': { username },
+  'list bans': null,
+  'report message': {
+    messageId,
+    chatId: { ...chatId, required: false }, // set for private and group chat messages
+    reason: { type: 'string', required: true, enum: REPORT_REASONS },
+    details: { type: 'string', maxLength: 300 }
+  },
+  'list reports': null,
+  'resolve report': {
+    reportId: { type: 'string', required: true, maxLength: 32 },
+    action: { type: 'string', required: true, enum: REPORT_ACTIONS },
+    minutes: { type: 'number', integer: true, min: 1, max: 7 * 24 * 60 }, // for mutes
+    note: reason
+  },
+  'set role': { username, role: { type: 'string', required: true, enum: ['member', 'moderator', 'admin'] } },
+
+  'list commands': null,
+  'list users': null,
+  'list mentions': null,
+  'command': {
+    text: { type: 'string', required: true, minLength: 2, maxLength: MAX_MESSAGE_LENGTH },
+    room
+  },
+
+  'invite to private chat': { targetUsername: username },
+  'accept private chat': { fromUsername: username },
+  'decline private chat': { fromUsername: username },
+  'list private chats': null,
+  'get private chat history': { chatId },
+  'mark private chat read': { chatId },
+  'private message': {
+    chatId,
+    message: { ...messageText, required: false },
+    attachment,
+    toUsername: { ...username, required: false } // ignored; the chat decides the recipient
+  },
+
+  'create group chat': {
+    name: groupName,
+    members: { type: 'array', maxItems: MAX_GROUP_MEMBERS - 1, items: username }
+  },
+  'rename group chat': { chatId, name: groupName },
+  'add group member': { chatId, username },
+  'remove group member': { chatId, username } // removing yourself leaves the group
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isWebUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+function fail(code, field, message) {
+  return { ok: false, error: { code, field, message } };
+}
+
+// Returns { ok: true, value } with unknown fields stripped, or { ok: false, error }
+function validateObject(spec, data, prefix = '') {
+  if (typeOf(data) !== 'object') {
+    return fail(ERROR_CODES.INVALID_PAYLOAD, prefix || null, 'Expected an object payload');
+  }
+
+  const value = {};
+  for (const [key, rule] of Object.entries(spec)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    let fieldValue = data[key];
+    if (typeof fieldValue === 'string' && rule.trim !== false) fieldValue = fieldValue.trim();
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rule.required) return fail(ERROR_CODES.MISSING_FIELD, field, `${field} is required`);
+      continue;
+    }
+
+    if (typeOf(fieldValue) !== rule.type) {
+      return fail(ERROR_CODES.WRONG_TYPE, field, `${field} must be a ${rule.type}`);
+    }
+
+    if (rule.type === 'string') {
+      if (rule.minLength && fieldValue.length < rule.minLength) {
+        return fail(ERROR_CODES.TOO_SHORT, field, `${field} must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength && fieldValue.length > rule.maxLength) {
+        return fail(ERROR_CODES.TOO_LONG, field, `${field} must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(fieldValue)) {
+        return fail(ERROR_CODES.INVALID_FORMAT, field, rule.patternMessage || `${field} has an invalid format`);
+      }
+      if (rule.format === 'date' && !isFinite(Date.parse(fieldValue))) {
+        return fail(ERROR_CODES.INVALID_FORMAT, field, `${field} must be a date`);
+      }
+      if (rule.format === 'url' && !isWebUrl(fieldValue)) {
+        return fail(ERROR_CODES.INVALID_FORMAT, field, `${field} must be an http:// or https:// link`);
+      }
+    }
+
+    if (rule.type === 'number') {
+      if (!isFinite(fieldValue) || (rule.integer && !Number.isInteger(fieldValue))) {
+        return fail(ERROR_CODES.WRONG_TYPE, field, `${field} must be a${rule.integer ? 'n integer' : ' finite number'}`);
+      }
+      if ((rule.min !== undefined && fieldValue < rule.min) || (rule.max !== undefined && fieldValue > rule.max)) {
+        return fail(ERROR_CODES.OUT_OF_RANGE, field, `${field} must be between ${rule.min} and ${rule.max}`);
+      }
+    }
+
+    if (rule.enum && !rule.enum.includes(fieldValue)) {
+      return fail(ERROR_CODES.NOT_ALLOWED, field, `${field} is not an allowed value`);
+    }
+
+    if (rule.type === 'object' && rule.properties) {
+      const nested = validateObject(rule.properties, fieldValue, field);
+      if (!nested.ok) return nested;
+      fieldValue = nested.value;
+    }
+
+    if (rule.type === 'array') {
+      if (rule.maxItems !== undefined && fieldValue.length > rule.maxItems) {
+        return fail(ERROR_CODES.TOO_MANY, field, `${field} can have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) {
+        const items = [];
+        for (let i = 0; i < fieldValue.length; i++) {
+          const item = validateObject({ [i]: { ...rule.items, required: true } }, { [i]: fieldValue[i] }, field);
+          if (!item.ok) return item;
+          items.push(item.value[i]);
+        }
+        fieldValue = items;
+      }
+    }
+
+    value[key] = fieldValue;
+  }
+  return { ok: true, value };
+}
+
+function validatePayload(event, data) {
+  if (!Object.prototype.hasOwnProperty.call(schemas, event)) {
+    return fail(ERROR_CODES.UNKNOWN_EVENT, null, `Unknown event: ${event}`);
+  }
+  const spec = schemas[event];
+  if (spec === null) return { ok: true, value: undefined };
+  return validateObject(spec, data === undefined ? {} : data);
+}
+
+module.exports = {
+  AVATARS,
+  REACTIONS,
+  ROOM_NAME_PATTERN,
+  ATTACHMENT_ID_PATTERN,
+  MAX_MESSAGE_LENGTH,
+  MAX_GROUP_MEMBERS,
+  STATUSES,
+  ERROR_CODES,
+  schemas,
+  validatePayload
+};